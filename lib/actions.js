@@ -0,0 +1,112 @@
+const { MODES } = require('./events');
+const { SPECIES } = require('./config');
+
+/**
+ * Every command guests can send. `modes` lists the entity types whose live
+ * page implements it (handleCommand in live-turtles.html / live-dinos.html),
+ * `durationMs` how long the effect lasts on screen, and `cooldownMs` how long
+ * a guest waits before commanding that entity again.
+ *
+ * `groupOnly` actions are the host's, sent through a group command (or a
+ * show): choreographies that need the whole group, where each entity's
+ * place comes from its slot in the group, and party effects like confetti.
+ */
+const ACTIONS = {
+  come_closer: { label: 'Come Closer', modes: ['turtles', 'dinos'], durationMs: 8000, cooldownMs: 8000 },
+  birthday_cake: { label: 'Birthday Cake', modes: ['turtles'], durationMs: 10000, cooldownMs: 5000 },
+  party_hat: { label: 'Party Hat', modes: ['turtles', 'dinos'], durationMs: 10000, cooldownMs: 5000 },
+  spin: { label: 'Do a Spin', modes: ['turtles', 'dinos'], durationMs: 2000, cooldownMs: 6000 },
+  jump: { label: 'Jump!', modes: ['turtles', 'dinos'], durationMs: 1200, cooldownMs: 4000 },
+  circle: { label: 'Form a Circle', modes: ['turtles'], durationMs: 12000, groupOnly: true },
+  parade: { label: 'Parade', modes: ['dinos'], durationMs: 15000, groupOnly: true },
+  confetti: { label: 'Confetti', modes: ['turtles', 'dinos'], durationMs: 4000, groupOnly: true },
+};
+
+const ENTITY_NAMES = { turtles: 'Turtles', dinos: 'Dinosaurs' };
+
+/**
+ * The actions a mode supports, in button order: what guests can send, or
+ * with `group` everything a group command can.
+ */
+function actionsFor(mode, { group = false } = {}) {
+  return Object.entries(ACTIONS)
+    .filter(([, action]) => action.modes.includes(mode) && (group || !action.groupOnly))
+    .map(([name, { label, durationMs, cooldownMs }]) => (
+      group ? { name, label, durationMs } : { name, label, durationMs, cooldownMs }
+    ));
+}
+
+/**
+ * Check that an entity of this mode can do the action, on its own or (with
+ * `group`) as part of a group command.
+ * @returns {string|null} an error message, or null when it can
+ */
+function checkAction(name, mode, { group = false } = {}) {
+  if (!Object.hasOwn(ACTIONS, name)) return 'Invalid action.';
+  if (!ACTIONS[name].modes.includes(mode)) {
+    return `${ENTITY_NAMES[mode]} can't do ${name.replace(/_/g, ' ')}.`;
+  }
+  if (ACTIONS[name].groupOnly && !group) return `${ACTIONS[name].label} is a group command.`;
+  return null;
+}
+
+/**
+ * Check a group command target: 'all', 'hero', a mode, a dino species or
+ * an array of ids.
+ * @returns {string|null} an error message, or null when valid
+ */
+function checkTarget(target) {
+  if (Array.isArray(target)) {
+    return target.every(id => typeof id === 'string') ? null : 'Invalid target.';
+  }
+  return ['all', 'hero', ...MODES, ...SPECIES].includes(target) ? null : 'Invalid target.';
+}
+
+/**
+ * Pick who a group command goes to (see checkTarget); entities of a mode
+ * that can't do the action are left out unless the target names that mode
+ * alone.
+ *
+ * @param {string} action
+ * @param {string|string[]} target
+ * @param {{ turtles?: object[], dinos?: object[] }} entities live entities
+ *   (heroes included) of the modes the event runs
+ * @returns {{ error: string }|{ targets: { turtles?: string[], dinos?: string[] } }}
+ *   ids per mode, in slot order
+ */
+function pickTargets(action, target, entities) {
+  if (!Object.hasOwn(ACTIONS, action)) return { error: 'Invalid action.' };
+  const error = checkTarget(target);
+  if (error) return { error };
+
+  let modes = Object.keys(entities);
+  let matches = () => true;
+  if (Array.isArray(target)) {
+    const ids = new Set(target);
+    matches = entity => ids.has(entity.id);
+  } else if (target === 'hero') {
+    matches = entity => entity.isHero;
+  } else if (MODES.includes(target)) {
+    modes = modes.filter(m => m === target);
+  } else if (SPECIES.includes(target)) {
+    modes = modes.filter(m => m === 'dinos');
+    matches = entity => entity.species === target;
+  }
+  if (modes.length === 0) return { error: 'Invalid target.' };
+
+  const able = modes.filter(m => !checkAction(action, m, { group: true }));
+  if (able.length === 0) return { error: checkAction(action, modes[0], { group: true }) };
+
+  const targets = {};
+  for (const mode of able) targets[mode] = entities[mode].filter(matches).map(e => e.id);
+  return { targets };
+}
+
+// Catch a typo'd mode here rather than as a button that never works
+for (const [name, action] of Object.entries(ACTIONS)) {
+  for (const mode of action.modes) {
+    if (!MODES.includes(mode)) throw new Error(`Action ${name} has unknown mode ${mode}`);
+  }
+}
+
+module.exports = { ACTIONS, actionsFor, checkAction, checkTarget, pickTargets };
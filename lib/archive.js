@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const { pickMetadata } = require('./storage');
+
+// Drawings taken out of an event (evicted at capacity, or cleared by a
+// reset with archive on) keep their metadata in their archive folder's
+// entities.json, so the host's export and guests' keepsake links still
+// find them once they're off the lists.
+const MANIFEST = 'entities.json';
+
+function readManifest(file) {
+  try {
+    const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Add entities, each with its `mode`, to an archive folder's manifest.
+ * Written to a temp file and renamed, like the store.
+ */
+function recordArchived(dir, entities) {
+  if (entities.length === 0) return;
+  const file = path.join(dir, MANIFEST);
+  const list = readManifest(file);
+  list.push(...entities.map(e => ({ ...pickMetadata(e), mode: e.mode })));
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(list, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Every entity archived under an event's archive folder, oldest first,
+ * each with its `mode` and `dir` (the folder its files are in now).
+ * Folders archived before manifests were kept are skipped.
+ *
+ * @param {string} archiveDir <drawingsDir>/archive
+ * @returns {Promise<object[]>}
+ */
+async function loadArchived(archiveDir) {
+  let folders;
+  try {
+    folders = await fs.promises.readdir(archiveDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const entities = [];
+  for (const folder of folders) {
+    if (!folder.isDirectory()) continue;
+    const dir = path.join(archiveDir, folder.name);
+    let list;
+    try {
+      list = JSON.parse(await fs.promises.readFile(path.join(dir, MANIFEST), 'utf8'));
+    } catch {
+      continue;
+    }
+    if (Array.isArray(list)) entities.push(...list.map(e => ({ ...e, dir })));
+  }
+  return entities.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+module.exports = { recordArchived, loadArchived, MANIFEST };
@@ -0,0 +1,57 @@
+// How a mode makes room once more drawings are on screen than its
+// capacity: fifo evicts the oldest upload, least-recent the one nobody has
+// sent a command to for longest, and rotate evicts nothing but rests the
+// one shown longest, bringing resting ones back on a timer.
+const POLICIES = ['fifo', 'least-recent', 'rotate'];
+
+const DEFAULTS = {
+  policy: 'fifo',
+  rotateSeconds: 60, // rotate: how often some drawings swap places
+  rotateCount: 3, // rotate: how many swap at a time
+};
+
+// The time each policy goes by: whoever's is earliest leaves first
+const SINCE = {
+  'fifo': e => e.createdAt,
+  'least-recent': e => Math.max(e.createdAt, e.lastInteractedAt || 0),
+  'rotate': e => e.shownAt || e.createdAt,
+};
+
+const byPolicy = (entities, policy) => [...entities].sort((a, b) => SINCE[policy](a) - SINCE[policy](b));
+
+/**
+ * The entities to take off screen so at most `capacity` stay on it. Pinned
+ * ones and `keep` (say, the upload that's making room) are never picked,
+ * so the mode can stay over capacity when only they are left.
+ *
+ * @param {object[]} entities the mode's live entities; `resting` ones
+ *   (rotate) are off screen already
+ * @param {{ capacity: number, policy: string, keep?: object }} options
+ * @returns {object[]} in the order they should go
+ */
+function overflow(entities, { capacity, policy, keep }) {
+  const onScreen = entities.filter(e => !e.resting);
+  const candidates = onScreen.filter(e => !e.pinned && e !== keep);
+  const count = Math.min(onScreen.length - capacity, candidates.length);
+  return count > 0 ? byPolicy(candidates, policy).slice(0, count) : [];
+}
+
+/**
+ * One turn of the rotate policy: up to `count` drawings shown longest rest,
+ * and as many resting longest come back, plus enough to fill any free
+ * slots (after deletes, say). Pinned drawings don't rest.
+ *
+ * @param {object[]} entities the mode's live entities
+ * @param {{ capacity: number, count: number }} options
+ * @returns {{ rest: object[], show: object[] }}
+ */
+function rotation(entities, { capacity, count }) {
+  const resting = entities.filter(e => e.resting).sort((a, b) => a.restedAt - b.restedAt);
+  const showing = byPolicy(entities.filter(e => !e.resting && !e.pinned), 'rotate');
+  const free = Math.max(capacity - (entities.length - resting.length), 0);
+  const fill = Math.min(free, resting.length);
+  const swaps = Math.min(count, resting.length - fill, showing.length);
+  return { rest: showing.slice(0, swaps), show: resting.slice(0, fill + swaps) };
+}
+
+module.exports = { overflow, rotation, POLICIES, DEFAULTS };
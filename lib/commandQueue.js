@@ -0,0 +1,169 @@
+const DEFAULTS = {
+  ttlMs: 10000, // a "come closer" much later than it was tapped is just confusing
+  maxPerEntity: 10,
+  historyLimit: 200,
+};
+
+/**
+ * Commands waiting for live screens that poll, one FIFO queue per entity,
+ * plus a short history for the admin page.
+ *
+ * Statuses: queued (waiting for a poll), pushed (sent over SSE, still
+ * queued for pollers), delivered (taken by a poll), expired (nobody took it
+ * within ttlMs), dropped (pushed out of a full queue), cleared (entity
+ * deleted or reset).
+ *
+ * Cooldowns are per user per entity, like the buttons on the guest pages:
+ * after a command, that user can't send another to the same entity until
+ * its cooldown has passed. Group commands (from the host) have none.
+ *
+ * @param {{ ttlMs?: number, maxPerEntity?: number, historyLimit?: number,
+ *   now?: () => number }} options
+ */
+function createCommandQueue({
+  ttlMs = DEFAULTS.ttlMs,
+  maxPerEntity = DEFAULTS.maxPerEntity,
+  historyLimit = DEFAULTS.historyLimit,
+  now = Date.now,
+} = {}) {
+  const queues = new Map(); // entityId -> commands, oldest first
+  const cooldowns = new Map(); // `${user} ${entityId}` -> time the cooldown ends
+  const history = []; // every command, oldest first
+  // Ids stay unique across restarts so screens that dedupe by id don't
+  // skip new commands
+  const idPrefix = `cmd_${now().toString(36)}_`;
+  let nextId = 1;
+  let nextGroupId = 1;
+
+  function settle(command, status) {
+    command.status = status;
+    command.settledAt = now();
+  }
+
+  function expire(entityId, queue) {
+    const t = now();
+    while (queue.length && queue[0].expiresAt <= t) {
+      const command = queue.shift();
+      if (command.status === 'queued') settle(command, 'expired');
+    }
+    if (!queue.length) queues.delete(entityId);
+  }
+
+  function add({ entityId, action, user, screens, group }) {
+    const t = now();
+    const command = {
+      id: idPrefix + nextId++,
+      entityId,
+      action,
+      user,
+      createdAt: t,
+      expiresAt: t + ttlMs,
+      status: screens > 0 ? 'pushed' : 'queued',
+      screens,
+    };
+    if (group) command.group = group;
+    history.push(command);
+    if (history.length > historyLimit) history.shift();
+
+    const queue = queues.get(entityId) || [];
+    queue.push(command);
+    while (queue.length > maxPerEntity) {
+      const dropped = queue.shift();
+      if (dropped.status === 'queued') settle(dropped, 'dropped');
+    }
+    queues.set(entityId, queue);
+    return command;
+  }
+
+  return {
+    /**
+     * @param {{ entityId: string, action: string, user: string,
+     *   cooldownMs?: number, screens?: number }} options
+     *   screens: live screens it's being pushed to over SSE right now
+     * @returns {{ command: object }|{ retryAfterMs: number }}
+     */
+    enqueue({ entityId, action, user, cooldownMs = 0, screens = 0 }) {
+      const t = now();
+      const key = `${user} ${entityId}`;
+      const until = cooldowns.get(key);
+      if (until > t) return { retryAfterMs: until - t };
+      if (cooldownMs > 0) cooldowns.set(key, t + cooldownMs);
+      return { command: add({ entityId, action, user, screens }) };
+    },
+
+    /**
+     * One action for several entities at once. Each command carries
+     * `group: { id, slot, count }`, its entity's place in the group.
+     * @param {{ entityIds: string[], action: string, user: string,
+     *   screens?: number }} options
+     * @returns {{ groupId: string, commands: object[] }}
+     */
+    enqueueGroup({ entityIds, action, user, screens = 0 }) {
+      const groupId = `grp_${idPrefix.slice(4)}${nextGroupId++}`;
+      const commands = entityIds.map((entityId, slot) => add({
+        entityId, action, user, screens, group: { id: groupId, slot, count: entityIds.length },
+      }));
+      return { groupId, commands };
+    },
+
+    /**
+     * Hand an entity's waiting commands to a poller, oldest first.
+     * @returns {{ command: string, commandId: string, group?: object }[]}
+     */
+    take(entityId) {
+      const queue = queues.get(entityId);
+      if (!queue) return [];
+      expire(entityId, queue);
+      queues.delete(entityId);
+      return queue.map((command) => {
+        settle(command, 'delivered');
+        const taken = { command: command.action, commandId: command.id };
+        if (command.group) taken.group = command.group;
+        return taken;
+      });
+    },
+
+    /** Drop the waiting commands of these entities, or of all of them. */
+    clear(entityIds) {
+      const ids = entityIds ? entityIds.filter(id => queues.has(id)) : [...queues.keys()];
+      for (const id of ids) {
+        for (const command of queues.get(id)) {
+          if (command.status === 'queued') settle(command, 'cleared');
+        }
+        queues.delete(id);
+      }
+    },
+
+    /** Expire old commands and forget finished cooldowns. */
+    prune() {
+      for (const [entityId, queue] of queues) expire(entityId, queue);
+      const t = now();
+      for (const [key, until] of cooldowns) {
+        if (until <= t) cooldowns.delete(key);
+      }
+    },
+
+    /**
+     * Recent commands, newest first.
+     * @param {{ entityId?: string, limit?: number }} [filter]
+     */
+    history({ entityId, limit = historyLimit } = {}) {
+      this.prune();
+      const out = [];
+      for (let i = history.length - 1; i >= 0 && out.length < limit; i--) {
+        const command = history[i];
+        if (!entityId || command.entityId === entityId) out.push({ ...command });
+      }
+      return out;
+    },
+
+    /** Commands still waiting for a poll. */
+    get size() {
+      let n = 0;
+      for (const queue of queues.values()) n += queue.length;
+      return n;
+    },
+  };
+}
+
+module.exports = { createCommandQueue, DEFAULTS };
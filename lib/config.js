@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { POLICIES } = require('./capacity');
+
+const SPECIES = ['trex', 'triceratops', 'brachiosaurus'];
+const MODES = ['turtles', 'dinos'];
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+// Image paths in config.json are relative to the file's own folder. A null
+// turtle heroImage means the built-in drawn turtle; a null dino heroImage
+// means no hero dino.
+const DEFAULTS = {
+  port: 3000,
+  eventCode: '1234',
+  hostCode: null, // random per run when unset (see server.js)
+  moderation: false, // uploads wait for the host's approval before going live
+  turtles: {
+    title: "Lily's Turtles",
+    heroName: "Lily's Turtle",
+    heroImage: null,
+    capacity: 30,
+    policy: 'fifo', // what happens past capacity (see lib/capacity.js)
+    rotateSeconds: 60,
+    rotateCount: 3,
+    showcaseSeconds: 45, // how often live screens bring a featured drawing closer
+    seeds: [],
+  },
+  dinos: {
+    title: "Ari's Dinosaurs",
+    heroName: "Ari's Dinosaur",
+    heroImage: path.join(PUBLIC_DIR, 'ari_trex.jpg'),
+    capacity: 30,
+    policy: 'fifo',
+    rotateSeconds: 60,
+    rotateCount: 3,
+    showcaseSeconds: 45,
+    seeds: [
+      { file: path.join(PUBLIC_DIR, 'ari_tric.jpg'), name: "Ari's Pat", species: 'triceratops' },
+      { file: path.join(PUBLIC_DIR, 'lily_brach.jpg'), name: 'Sese', species: 'brachiosaurus' },
+    ],
+  },
+};
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isPort = v => Number.isInteger(v) && v > 0 && v < 65536;
+
+function checkKeys(obj, allowed, where, errors) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.includes(key)) errors.push(`${where}${key} is not a known setting`);
+  }
+}
+
+function checkString(value, where, errors, { optional = false, max = Infinity } = {}) {
+  if (value === undefined || (optional && value === null)) return;
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    errors.push(`${where} must be a non-empty string`);
+  } else if (value.trim().length > max) {
+    errors.push(`${where} must be ${max} characters or less`);
+  }
+}
+
+function validateSeeds(seeds, mode, errors) {
+  const where = `${mode}.seeds`;
+  if (seeds === undefined) return;
+  if (!Array.isArray(seeds)) {
+    errors.push(`${where} must be an array`);
+    return;
+  }
+  const allowed = mode === 'dinos' ? ['file', 'name', 'species'] : ['file', 'name'];
+  seeds.forEach((seed, i) => {
+    const at = `${where}[${i}]`;
+    if (!isObject(seed)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    checkKeys(seed, allowed, `${at}.`, errors);
+    if (seed.file === undefined) errors.push(`${at}.file is required`);
+    if (seed.name === undefined) errors.push(`${at}.name is required`);
+    checkString(seed.file, `${at}.file`, errors);
+    // Same limit as upload names
+    checkString(seed.name, `${at}.name`, errors, { max: 30 });
+    if (seed.species !== undefined && !SPECIES.includes(seed.species)) {
+      errors.push(`${at}.species must be one of ${SPECIES.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Check a parsed config.json against the known settings.
+ *
+ * @returns {string[]} one message per problem; empty when valid
+ */
+function validateConfig(raw) {
+  const errors = [];
+  if (!isObject(raw)) return ['config must be a JSON object'];
+
+  checkKeys(raw, Object.keys(DEFAULTS), '', errors);
+  if (raw.port !== undefined && !isPort(raw.port)) {
+    errors.push('port must be an integer between 1 and 65535');
+  }
+  // A string so codes like "0420" keep their leading zero
+  checkString(raw.eventCode, 'eventCode', errors);
+  checkString(raw.hostCode, 'hostCode', errors, { optional: true });
+  if (raw.moderation !== undefined && typeof raw.moderation !== 'boolean') {
+    errors.push('moderation must be true or false');
+  }
+
+  for (const mode of MODES) {
+    const section = raw[mode];
+    if (section === undefined) continue;
+    if (!isObject(section)) {
+      errors.push(`${mode} must be an object`);
+      continue;
+    }
+    checkKeys(section, Object.keys(DEFAULTS[mode]), `${mode}.`, errors);
+    checkString(section.title, `${mode}.title`, errors);
+    checkString(section.heroName, `${mode}.heroName`, errors);
+    checkString(section.heroImage, `${mode}.heroImage`, errors, { optional: true });
+    if (section.capacity !== undefined && !(Number.isInteger(section.capacity) && section.capacity > 0)) {
+      errors.push(`${mode}.capacity must be a positive integer`);
+    }
+    if (section.policy !== undefined && !POLICIES.includes(section.policy)) {
+      errors.push(`${mode}.policy must be one of ${POLICIES.join(', ')}`);
+    }
+    if (section.rotateSeconds !== undefined && !(typeof section.rotateSeconds === 'number' && section.rotateSeconds >= 5)) {
+      errors.push(`${mode}.rotateSeconds must be a number of seconds, at least 5`);
+    }
+    if (section.rotateCount !== undefined && !(Number.isInteger(section.rotateCount) && section.rotateCount > 0)) {
+      errors.push(`${mode}.rotateCount must be a positive integer`);
+    }
+    if (section.showcaseSeconds !== undefined && !(typeof section.showcaseSeconds === 'number' && section.showcaseSeconds >= 10)) {
+      errors.push(`${mode}.showcaseSeconds must be a number of seconds, at least 10`);
+    }
+    validateSeeds(section.seeds, mode, errors);
+  }
+  return errors;
+}
+
+function configError(file, errors) {
+  return new Error(`Invalid config ${file}:\n  - ${errors.join('\n  - ')}`);
+}
+
+/**
+ * Load event configuration. Precedence: environment (PORT, EVENT_CODE,
+ * HOST_CODE) over config.json over built-in defaults. A missing file just
+ * means defaults; a malformed one throws with every problem listed, so the
+ * server refuses to start rather than running a party with half a config.
+ *
+ * @param {{ file: string, env?: object }} options
+ * @returns {{ port: number, eventCode: string, hostCode: string|null,
+ *   moderation: boolean, turtles: object, dinos: object }} image paths resolved to absolute
+ */
+function loadConfig({ file, env = process.env }) {
+  let raw = {};
+  if (fs.existsSync(file)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw configError(file, [e.message]);
+    }
+    const errors = validateConfig(raw);
+    if (errors.length) throw configError(file, errors);
+  }
+
+  const config = {
+    port: raw.port ?? DEFAULTS.port,
+    eventCode: raw.eventCode ?? DEFAULTS.eventCode,
+    hostCode: raw.hostCode ?? DEFAULTS.hostCode,
+    moderation: raw.moderation ?? DEFAULTS.moderation,
+  };
+  for (const mode of MODES) {
+    config[mode] = { ...DEFAULTS[mode], ...raw[mode] };
+  }
+
+  const errors = [];
+  if (env.PORT !== undefined && env.PORT !== '') {
+    const port = Number(env.PORT);
+    if (isPort(port)) config.port = port;
+    else errors.push(`PORT must be an integer between 1 and 65535 (got "${env.PORT}")`);
+  }
+  if (env.EVENT_CODE) config.eventCode = env.EVENT_CODE;
+  if (env.HOST_CODE) config.hostCode = env.HOST_CODE;
+  // Guests see the event code on the flyer; the host code must not be it
+  if (config.hostCode === config.eventCode) errors.push('hostCode must differ from eventCode');
+
+  // Resolve image paths and make sure they're there now, not mid-party
+  const baseDir = path.dirname(path.resolve(file));
+  const resolveImage = (p, where) => {
+    const abs = path.resolve(baseDir, p);
+    if (!fs.existsSync(abs)) errors.push(`${where} not found: ${abs}`);
+    return abs;
+  };
+  for (const mode of MODES) {
+    const section = config[mode];
+    if (section.heroImage) section.heroImage = resolveImage(section.heroImage, `${mode}.heroImage`);
+    section.seeds = section.seeds.map((seed, i) => ({
+      ...seed,
+      name: seed.name.trim(),
+      file: resolveImage(seed.file, `${mode}.seeds[${i}].file`),
+    }));
+  }
+  if (errors.length) throw configError(file, errors);
+
+  return config;
+}
+
+module.exports = { loadConfig, validateConfig, DEFAULTS, SPECIES };
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { createSseLog } = require('./sseLog');
+const { createCommandQueue } = require('./commandQueue');
+const { createPreviewStore } = require('./previews');
+
+const MODES = ['turtles', 'dinos'];
+
+// Codes end up in folder and file names, so keep them to safe characters
+const CODE_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+
+/**
+ * One party: its own code, modes, entities, command queue and live screens.
+ * Heroes, titles and seeds are deployment-wide (config.json) and not here.
+ *
+ * @param {{ code: string, name: string, modes?: string[], moderation?: boolean,
+ *   createdAt?: number, archived?: boolean, drawingsDir: string, originalsDir?: string,
+ *   store: object }} options
+ *   moderation: uploads stay pending until the host approves them
+ *   drawingsDir: where this event's PNGs are written (served publicly)
+ *   originalsDir: where the uploaded photos are kept (host only)
+ *   store: a lib/storage.js store for this event's entities
+ */
+function createEvent({
+  code, name, modes = MODES, moderation = false, createdAt = Date.now(), archived = false,
+  drawingsDir, originalsDir, store,
+}) {
+  return {
+    code,
+    name,
+    modes: [...modes],
+    moderation,
+    createdAt,
+    archived,
+    drawingsDir,
+    originalsDir,
+    store,
+    turtles: [],
+    dinos: [],
+    nextId: 1,
+    nextDinoId: 1,
+    commandQueue: createCommandQueue(), // for screens that poll
+    sseClients: new Set(), // { res, mode } per live screen
+    sseLog: createSseLog(), // recent entity changes, for Last-Event-ID
+    show: null, // a lib/show.js show, loaded from /admin; not persisted
+    previews: createPreviewStore(), // uploads the guest hasn't confirmed yet
+  };
+}
+
+/** What gets listed and persisted about an event (no entities, no clients). */
+function eventMetadata(event) {
+  const { code, name, modes, moderation, archived, createdAt } = event;
+  return { code, name, modes, moderation, archived, createdAt };
+}
+
+/**
+ * Check a create-event request body.
+ *
+ * @param {{ code?: string, name?: string, modes?: string[], moderation?: boolean }} body
+ * @param {Set<string>} takenCodes codes already in use, archived ones included
+ * @returns {string|null} an error message, or null when valid
+ */
+function validateNewEvent({ code, name, modes, moderation }, takenCodes) {
+  if (typeof name !== 'string' || name.trim().length === 0) return 'Name is required.';
+  if (name.trim().length > 60) return 'Name must be 60 characters or less.';
+  if (code !== undefined) {
+    if (typeof code !== 'string' || !CODE_PATTERN.test(code)) {
+      return 'Code must be 3-32 letters, digits, dashes or underscores.';
+    }
+    if (takenCodes.has(code)) return 'That code is already in use.';
+  }
+  if (modes !== undefined) {
+    if (!Array.isArray(modes) || modes.length === 0 || !modes.every(m => MODES.includes(m))) {
+      return `Modes must be a non-empty list of: ${MODES.join(', ')}.`;
+    }
+  }
+  if (moderation !== undefined && typeof moderation !== 'boolean') return 'Moderation must be true or false.';
+  return null;
+}
+
+/** A random 4-digit code that isn't taken, like the printed default. */
+function generateEventCode(takenCodes) {
+  for (;;) {
+    const code = String(crypto.randomInt(1000, 10000));
+    if (!takenCodes.has(code)) return code;
+  }
+}
+
+module.exports = { createEvent, eventMetadata, validateNewEvent, generateEventCode, MODES };
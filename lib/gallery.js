@@ -0,0 +1,54 @@
+const { MODES } = require('./events');
+const { SPECIES } = require('./config');
+
+const DEFAULTS = {
+  perPage: 24,
+  maxPerPage: 100,
+};
+
+/** Newest first; ids break ties so seeds from the same boot keep their order. */
+function newestFirst(a, b) {
+  return (b.createdAt || 0) - (a.createdAt || 0)
+    || parseInt(String(b.id).replace(/^\D+/, ''), 10) - parseInt(String(a.id).replace(/^\D+/, ''), 10);
+}
+
+/**
+ * One page of an event's drawings, filtered by mode and species.
+ *
+ * @param {{ turtles?: object[], dinos?: object[] }} entities the drawings to
+ *   show, per mode (no heroes, nothing pending)
+ * @param {{ mode?: string, species?: string, page?: string|number,
+ *   perPage?: string|number }} query as given in the URL; species implies dinos
+ * @returns {{ error: string }|{ entities: object[], page: number,
+ *   perPage: number, total: number, pages: number }} entities carry `mode`
+ */
+function queryGallery(entities, { mode, species, page = 1, perPage = DEFAULTS.perPage } = {}) {
+  if (mode !== undefined && !MODES.includes(mode)) return { error: `Mode must be ${MODES.join(' or ')}.` };
+  if (species !== undefined && !SPECIES.includes(species)) {
+    return { error: `Species must be one of ${SPECIES.join(', ')}.` };
+  }
+  if (species !== undefined && mode === 'turtles') return { error: 'Turtles have no species.' };
+  page = Number(page);
+  perPage = Number(perPage);
+  if (!Number.isInteger(page) || page < 1) return { error: 'Page must be a whole number from 1.' };
+  if (!Number.isInteger(perPage) || perPage < 1 || perPage > DEFAULTS.maxPerPage) {
+    return { error: `perPage must be 1 to ${DEFAULTS.maxPerPage}.` };
+  }
+
+  const modes = species !== undefined ? ['dinos'] : mode !== undefined ? [mode] : MODES;
+  const matching = modes
+    .flatMap(m => (entities[m] || []).map(e => ({ ...e, mode: m })))
+    .filter(e => species === undefined || e.species === species)
+    .sort(newestFirst);
+
+  const start = (page - 1) * perPage;
+  return {
+    entities: matching.slice(start, start + perPage),
+    page,
+    perPage,
+    total: matching.length,
+    pages: Math.max(1, Math.ceil(matching.length / perPage)),
+  };
+}
+
+module.exports = { queryGallery, DEFAULTS };
@@ -0,0 +1,123 @@
+// What can go wrong with a photo, most important first. The upload pages
+// show the messages so the guest can retake it; codes are for clients.
+const HINTS = {
+  too_dark: 'The photo is too dark. Find a brighter spot and try again.',
+  blurry: 'The photo is blurry. Hold the phone still and let it focus.',
+  glare: 'There is a bright glare on the page. Tilt it away from the light.',
+  no_circle: "We couldn't find the turtle's shell. Fit the whole page in the photo.",
+  circle_cut_off: 'Part of the shell is outside the photo. Step back so all of it fits.',
+  no_grid: "We couldn't find the dotted grid. Fit the whole page in the photo.",
+  rotated: 'The page is tilted. Line it up straight with the phone.',
+  blank: 'The drawing looks mostly blank. Color it in, then take the photo again.',
+};
+
+const LIMITS = {
+  darkPaper: 80, // paper (90th percentile brightness) darker than this is too dark
+  sharpness: 0.25, // |laplacian| / gradient at edges; sharp photos score ~0.6+
+  minEdges: 0.002, // fraction of edge pixels needed to judge sharpness at all
+  glare: 0.01, // fraction of blown-out pixels...
+  glarePaper: 220, // ...on paper (median brightness) darker than this
+  // Fraction of marked pixels below which a drawing is blank. The printed
+  // dino outline alone marks 4-8%; the shell is printed empty.
+  blank: { turtles: 0.02, dinos: 0.1 },
+};
+
+const luminance = (d, i) => 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+
+function percentile(hist, total, p) {
+  let count = 0;
+  for (let v = 0; v < hist.length; v++) {
+    count += hist[v];
+    if (count >= total * p) return v;
+  }
+  return hist.length - 1;
+}
+
+/**
+ * Check the light and focus of a photo.
+ *
+ * @param {Buffer} data - RGBA pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {string[]} hint codes: too_dark, blurry, glare
+ */
+function photoHints(data, width, height) {
+  const n = width * height;
+  const lum = new Float32Array(n);
+  const hist = new Array(256).fill(0);
+  let blownOut = 0;
+  for (let i = 0; i < n; i++) {
+    lum[i] = luminance(data, i * 4);
+    hist[Math.round(lum[i])]++;
+    if (data[i * 4] >= 250 && data[i * 4 + 1] >= 250 && data[i * 4 + 2] >= 250) blownOut++;
+  }
+
+  const codes = [];
+  if (percentile(hist, n, 0.9) < LIMITS.darkPaper) codes.push('too_dark');
+
+  // A blurred edge spreads out: its laplacian falls off faster than its
+  // gradient, whatever the contrast
+  const gradients = [];
+  const laplacians = [];
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const g = Math.hypot(lum[i + 1] - lum[i - 1], lum[i + width] - lum[i - width]);
+      if (g < 12) continue;
+      gradients.push(g);
+      laplacians.push(Math.abs(lum[i - 1] + lum[i + 1] + lum[i - width] + lum[i + width] - 4 * lum[i]));
+    }
+  }
+  if (gradients.length >= n * LIMITS.minEdges) {
+    const p90 = values => values.sort((a, b) => a - b)[Math.floor(values.length * 0.9)];
+    if (p90(laplacians) / p90(gradients) < LIMITS.sharpness) codes.push('blurry');
+  }
+
+  // Printed pages come out grey in photos; white patches on them are glare
+  if (blownOut >= n * LIMITS.glare && percentile(hist, n, 0.5) < LIMITS.glarePaper) codes.push('glare');
+  return codes;
+}
+
+/**
+ * How much of a drawing is marked: the fraction of its opaque pixels that
+ * are colorful or much darker than the paper.
+ *
+ * @param {Buffer} data - RGBA pixels
+ * @returns {number}
+ */
+function inkCoverage(data) {
+  const hist = new Array(256).fill(0);
+  let opaque = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    hist[Math.round(luminance(data, i))]++;
+    opaque++;
+  }
+  if (opaque === 0) return 0;
+  const paper = percentile(hist, opaque, 0.9);
+
+  let marked = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    const colorful = Math.max(r, g, b) - Math.min(r, g, b) > 50;
+    if (colorful || luminance(data, i) < paper * 0.6) marked++;
+  }
+  return marked / opaque;
+}
+
+/**
+ * Turn hint codes into what the pipelines return: every hint with its
+ * message, most important first, and the first message on its own.
+ *
+ * @param {string[]} codes
+ * @returns {{ hint: string|null, hints: { code: string, message: string }[] }}
+ */
+function describeHints(codes) {
+  const hints = Object.keys(HINTS)
+    .filter(code => codes.includes(code))
+    .map(code => ({ code, message: HINTS[code] }));
+  return { hint: hints.length ? hints[0].message : null, hints };
+}
+
+module.exports = { HINTS, LIMITS, photoHints, inkCoverage, describeHints };
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  concurrency: 2, // jobs running at once; each photo holds opencv and sharp buffers
+  attempts: 2, // tries per job, the first included
+  retryDelayMs: 1000,
+  maxQueued: 50, // past this, add() turns jobs away
+  keepMs: 2 * 60 * 1000, // how long a finished job can still be looked up
+};
+
+/**
+ * Slow work (processing photos) run in the background, a few jobs at a
+ * time, first come first served. Callers get a job id straight away and
+ * look the job up to follow it.
+ *
+ * Statuses: queued (waiting for a free slot; `ahead` jobs before it),
+ * running (`stage` is what it reported last), retrying (failed, tried
+ * again after retryDelayMs, ahead of the line), done (`result`), failed
+ * (`error`, the message of the last attempt's error). A job that throws an
+ * error with `retry: false` fails without another attempt.
+ *
+ * @param {{ concurrency?: number, attempts?: number, retryDelayMs?: number,
+ *   maxQueued?: number, keepMs?: number, now?: () => number }} options
+ */
+function createJobQueue({
+  concurrency = DEFAULTS.concurrency,
+  attempts = DEFAULTS.attempts,
+  retryDelayMs = DEFAULTS.retryDelayMs,
+  maxQueued = DEFAULTS.maxQueued,
+  keepMs = DEFAULTS.keepMs,
+  now = Date.now,
+} = {}) {
+  const jobs = new Map(); // id -> job
+  const waiting = []; // queued jobs, next first
+  let running = 0;
+
+  function prune() {
+    const t = now();
+    for (const [id, job] of jobs) {
+      if (job.finishedAt !== undefined && job.finishedAt + keepMs <= t) jobs.delete(id);
+    }
+  }
+
+  function finish(job, status) {
+    job.status = status;
+    job.finishedAt = now();
+    job.run = null; // let go of the photo
+  }
+
+  async function start(job) {
+    running++;
+    job.status = 'running';
+    job.attempt++;
+    delete job.stage;
+    try {
+      job.result = await job.run({
+        attempt: job.attempt,
+        progress: (stage) => { job.stage = stage; },
+      });
+      delete job.error;
+      finish(job, 'done');
+    } catch (err) {
+      job.error = err.message;
+      if (job.attempt < attempts && err.retry !== false) {
+        job.status = 'retrying';
+        setTimeout(() => {
+          job.status = 'queued';
+          waiting.unshift(job);
+          next();
+        }, retryDelayMs);
+      } else {
+        finish(job, 'failed');
+      }
+    } finally {
+      running--;
+      next();
+    }
+  }
+
+  function next() {
+    while (running < concurrency && waiting.length) start(waiting.shift());
+  }
+
+  return {
+    /**
+     * Queue `run({ attempt, progress })`, an async function; whatever it
+     * resolves to is the job's result. `owner` is who may look the job up.
+     * @returns {object|null} the job (as get() gives it), or null when
+     *   maxQueued jobs are already waiting
+     */
+    add(run, { owner } = {}) {
+      prune();
+      if (waiting.length >= maxQueued) return null;
+      const job = {
+        id: crypto.randomBytes(12).toString('hex'),
+        owner,
+        run,
+        status: 'queued',
+        attempt: 0,
+        createdAt: now(),
+      };
+      jobs.set(job.id, job);
+      waiting.push(job);
+      next();
+      return this.get(job.id, owner);
+    },
+
+    /**
+     * Where a job is at, or null if it's unknown, finished more than keepMs
+     * ago, or not `owner`'s.
+     */
+    get(id, owner) {
+      prune();
+      const job = jobs.get(id);
+      if (!job || job.owner !== owner) return null;
+      const out = { id: job.id, status: job.status, attempt: job.attempt, attempts };
+      if (job.status === 'queued') out.ahead = waiting.indexOf(job);
+      if (job.stage && job.status === 'running') out.stage = job.stage;
+      if (job.status === 'done') out.result = job.result;
+      if (job.error) out.error = job.error;
+      return out;
+    },
+
+    /** Jobs waiting or running. */
+    get size() {
+      return waiting.length + running;
+    },
+  };
+}
+
+// System error codes that can pass: the machine or disk was busy, or a
+// connection dropped
+const TRANSIENT_CODES = new Set([
+  'EAGAIN', 'EBUSY', 'EMFILE', 'ENFILE', 'ENOMEM', 'ETIMEDOUT',
+  'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN',
+]);
+
+/**
+ * Whether an error is worth another attempt: an I/O hiccup, or a remote
+ * service timing out, rate limiting or failing (429, 5xx). Anything else,
+ * like a photo sharp can't decode or with no drawing in it, fails the same
+ * way every time.
+ */
+function isTransient(err) {
+  if (!err) return false;
+  if (TRANSIENT_CODES.has(err.code)) return true;
+  return err.status === 429 || err.status >= 500;
+}
+
+module.exports = { createJobQueue, isTransient, DEFAULTS };
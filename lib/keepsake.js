@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The files of a keepsake ZIP: each entity's drawing (drawings/), the photo
+ * it was cut from when that was kept (originals/), and manifest.json with
+ * who's who. Files missing from disk are left out of the ZIP and the
+ * manifest. Files are only looked at here; writeZip reads them as it goes.
+ *
+ * @param {{ code: string, name: string, drawingsDir: string, originalsDir: string }} event
+ * @param {object[]} entities each with its `mode`; archived ones also with
+ *   the `dir` their drawing is in and the `originalsDir` their photo is in,
+ *   in place of the event's
+ * @param {{ now?: () => number }} [options]
+ * @returns {Promise<{ name: string, data?: string, file?: string, date: Date }[]>}
+ *   writeZip entries
+ */
+async function keepsakeEntries(event, entities, { now = Date.now } = {}) {
+  const files = [];
+  const drawings = [];
+
+  const add = async (folder, dir, file, createdAt) => {
+    if (!file) return null;
+    const filePath = path.join(dir, file);
+    try {
+      await fs.promises.access(filePath);
+    } catch {
+      return null;
+    }
+    const name = `${folder}/${file}`;
+    files.push({ name, file: filePath, date: new Date(createdAt || now()) });
+    return name;
+  };
+
+  for (const entity of entities) {
+    const drawing = await add('drawings', entity.dir || event.drawingsDir, entity.file, entity.createdAt);
+    if (!drawing) continue;
+    const item = {
+      id: entity.id,
+      mode: entity.mode,
+      name: entity.name,
+      createdAt: entity.createdAt ? new Date(entity.createdAt).toISOString() : null,
+      drawing,
+      original: await add('originals', entity.originalsDir || event.originalsDir, entity.original, entity.createdAt),
+    };
+    if (entity.mode === 'dinos') item.species = entity.species;
+    drawings.push(item);
+  }
+
+  const manifest = {
+    event: { code: event.code, name: event.name },
+    exportedAt: new Date(now()).toISOString(),
+    drawings,
+  };
+  return [
+    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2), date: new Date(now()) },
+    ...files,
+  ];
+}
+
+module.exports = { keepsakeEntries };
@@ -0,0 +1,90 @@
+const http = require('http');
+
+// Upright trex filling most of the page
+const DEFAULT_REPLY = { species: 'trex', rotation: 0, bbox: { x: 0.1, y: 0.1, w: 0.8, h: 0.8 } };
+
+/**
+ * Local stand-in for the Anthropic Messages API, for tests and rehearsal
+ * runs. Point VISION_ENDPOINT at its url.
+ *
+ * @param {{ port?: number, reply?: object|string|function, delayMs?: number,
+ *   failFirst?: number, failStatus?: number }} options
+ *   reply: what the "model" answers — an object (sent as JSON text), raw
+ *     text, or a function of the request body returning either.
+ *   delayMs: wait this long before answering.
+ *   failFirst: answer the first N requests with failStatus (default 500).
+ * @returns {Promise<{ url: string, requests: object[], close(): Promise<void> }>}
+ *   requests holds the parsed body of every request received.
+ */
+function startMockVisionServer({ port = 0, reply = DEFAULT_REPLY, delayMs = 0, failFirst = 0, failStatus = 500 } = {}) {
+  const requests = [];
+  const timers = new Set();
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || !req.url.startsWith('/v1/messages')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ type: 'error', error: { type: 'not_found_error', message: 'Not found' } }));
+        return;
+      }
+
+      let body = {};
+      try { body = JSON.parse(raw); } catch { /* answered below like any other request */ }
+      requests.push(body);
+
+      const send = () => {
+        timers.delete(timer);
+        if (requests.length <= failFirst) {
+          res.writeHead(failStatus, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ type: 'error', error: { type: 'api_error', message: 'Mock failure' } }));
+          return;
+        }
+        const answer = typeof reply === 'function' ? reply(body) : reply;
+        const text = typeof answer === 'string' ? answer : JSON.stringify(answer);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: `msg_mock_${requests.length}`,
+          type: 'message',
+          role: 'assistant',
+          model: body.model,
+          content: [{ type: 'text', text }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 0, output_tokens: 0 },
+        }));
+      };
+      const timer = setTimeout(send, delayMs);
+      timers.add(timer);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close() {
+          for (const t of timers) clearTimeout(t);
+          server.closeAllConnections();
+          return new Promise(done => server.close(() => done()));
+        },
+      });
+    });
+  });
+}
+
+// Rehearsal: `node lib/mockVisionServer.js [port]`, then start the server
+// with VISION_ENDPOINT=http://127.0.0.1:<port> and any ANTHROPIC_API_KEY.
+// MOCK_VISION_REPLY (JSON) and MOCK_VISION_DELAY_MS change the answer.
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 4010;
+  const reply = process.env.MOCK_VISION_REPLY ? JSON.parse(process.env.MOCK_VISION_REPLY) : DEFAULT_REPLY;
+  const delayMs = Number(process.env.MOCK_VISION_DELAY_MS) || 0;
+  startMockVisionServer({ port, reply, delayMs }).then(({ url }) => {
+    console.log(`Mock vision server on ${url}`);
+  });
+}
+
+module.exports = { startMockVisionServer, DEFAULT_REPLY };
@@ -0,0 +1,31 @@
+const sharp = require('sharp');
+
+const DEFAULTS = {
+  maxDimension: 2000,
+  quality: 85,
+};
+
+/**
+ * The copy of an upload we keep for reprocessing: turned upright, no
+ * larger than `maxDimension` on either side, flattened onto white and saved
+ * as a JPEG. sharp drops EXIF (GPS, camera, time) unless asked to keep it.
+ *
+ * @param {Buffer} buffer the photo as uploaded
+ * @param {{ maxDimension?: number, quality?: number }} [options]
+ * @returns {Promise<Buffer>} JPEG
+ */
+function prepareOriginal(buffer, { maxDimension = DEFAULTS.maxDimension, quality = DEFAULTS.quality } = {}) {
+  return sharp(buffer)
+    .rotate() // apply the EXIF orientation before it's dropped
+    .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality })
+    .toBuffer();
+}
+
+/** `3_Ada.png` → `3_Ada_original.jpg`, in the same folder. */
+function originalFileName(file) {
+  return file.replace(/\.png$/, '') + '_original.jpg';
+}
+
+module.exports = { prepareOriginal, originalFileName, DEFAULTS };
@@ -0,0 +1,53 @@
+const { SPECIES } = require('./config');
+
+// What the host can set by hand when reprocessing, per mode. Positions are
+// fractions (0-1) of the upright photo, as processImage and
+// processDinoImage report them.
+const OVERRIDES = {
+  turtles: ['circle'],
+  dinos: ['species', 'rotation', 'bbox'],
+};
+const ROTATIONS = [0, 90, 180, 270];
+
+const isFraction = n => typeof n === 'number' && n >= 0 && n <= 1;
+
+/**
+ * Check reprocessing overrides for a mode.
+ *
+ * @param {string} mode 'turtles' or 'dinos'
+ * @param {object} overrides turtles: { circle: { cx, cy, r } };
+ *   dinos: { species, rotation, bbox: { x, y, w, h } }, any of them
+ * @returns {string|null} an error message, or null when valid
+ */
+function checkOverrides(mode, overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'Overrides must be an object.';
+  }
+  for (const key of Object.keys(overrides)) {
+    if (!OVERRIDES[mode].includes(key)) {
+      return mode === 'turtles' ? `Turtles can't set ${key}.` : `Dinosaurs can't set ${key}.`;
+    }
+  }
+  const { circle, species, rotation, bbox } = overrides;
+  if (circle !== undefined) {
+    if (!circle || ![circle.cx, circle.cy, circle.r].every(isFraction) || circle.r === 0) {
+      return 'Circle needs cx, cy and r between 0 and 1.';
+    }
+  }
+  if (species !== undefined && !SPECIES.includes(species)) {
+    return `Species must be one of ${SPECIES.join(', ')}.`;
+  }
+  if (rotation !== undefined && !ROTATIONS.includes(rotation)) {
+    return `Rotation must be ${ROTATIONS.join(', ')}.`;
+  }
+  if (bbox !== undefined) {
+    if (!bbox || ![bbox.x, bbox.y, bbox.w, bbox.h].every(isFraction) || bbox.w === 0 || bbox.h === 0) {
+      return 'Bbox needs x, y, w and h between 0 and 1.';
+    }
+    // A little slack for rounding in the editor
+    if (bbox.x + bbox.w > 1.001 || bbox.y + bbox.h > 1.001) return 'Bbox must fit inside the photo.';
+  }
+  return null;
+}
+
+module.exports = { checkOverrides, OVERRIDES };
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  ttlMs: 15 * 60 * 1000, // long enough to retake a photo or two
+  maxSize: 30, // photos are held in memory
+};
+
+/**
+ * Processed uploads a guest hasn't confirmed yet. The guest page gets an
+ * id for each; confirming the upload takes it back out. Unconfirmed ones
+ * are dropped after ttlMs, or oldest first once there are maxSize.
+ *
+ * @param {{ ttlMs?: number, maxSize?: number, now?: () => number }} options
+ */
+function createPreviewStore({ ttlMs = DEFAULTS.ttlMs, maxSize = DEFAULTS.maxSize, now = Date.now } = {}) {
+  const previews = new Map(); // id -> { data, expiresAt }, oldest first
+
+  function prune() {
+    const t = now();
+    for (const [id, preview] of previews) {
+      if (preview.expiresAt > t) break;
+      previews.delete(id);
+    }
+  }
+
+  return {
+    /** Hold `data`; returns its id, hard to guess. */
+    add(data) {
+      prune();
+      while (previews.size >= maxSize) previews.delete(previews.keys().next().value);
+      const id = crypto.randomBytes(12).toString('hex');
+      previews.set(id, { data, expiresAt: now() + ttlMs });
+      return id;
+    },
+
+    /** The data held under `id`, or null once it's gone. */
+    get(id) {
+      prune();
+      const preview = previews.get(id);
+      return preview ? preview.data : null;
+    },
+
+    /** Swap in new data for `id` (say, after switching species); false once it's gone. */
+    replace(id, data) {
+      prune();
+      const preview = previews.get(id);
+      if (!preview) return false;
+      preview.data = data;
+      return true;
+    },
+
+    /** The data held under `id`, removed; null once it's gone. */
+    take(id) {
+      prune();
+      const preview = previews.get(id);
+      if (!preview) return null;
+      previews.delete(id);
+      return preview.data;
+    },
+
+    get size() {
+      prune();
+      return previews.size;
+    },
+  };
+}
+
+module.exports = { createPreviewStore, DEFAULTS };
@@ -1,75 +1,418 @@
 const sharp = require('sharp');
 const { initCV } = require('./processImage');
-const Anthropic = require('@anthropic-ai/sdk');
+const { createVisionProvider, visionOptionsFromEnv } = require('./visionProvider');
+const { LIMITS, photoHints, inkCoverage, describeHints } = require('./hints');
 const path = require('path');
 
 const SPECIES_LIST = ['trex', 'triceratops', 'brachiosaurus'];
 
+// Coloring pages print 1–3 solid black dots next to the grid's top-right
+// corner (see coloring-dinos.html). Dot count → species.
+const DOT_SPECIES = { 1: 'trex', 2: 'triceratops', 3: 'brachiosaurus' };
+
+// Sonnet gives no score of its own; treat a parsed answer as fairly reliable
+const VISION_CONFIDENCE = 0.8;
+
+// How far (in grid spacings) the warp extends past the grid on every side so
+// the indicator dots and title printed just outside it survive the warp
+const WARP_MARGIN = 6;
+
+// A grid turned further than this in the photo gets a hint to straighten it
+const MAX_TILT = 10 * Math.PI / 180;
+
+// Which grid edge the page's top (title + indicator dots) sits on →
+// degrees clockwise to rotate the page upright
+const SIDE_ROTATION = { top: 0, right: 270, bottom: 180, left: 90 };
+
+const FULL_BBOX = { x: 0, y: 0, w: 1, h: 1 };
+
 const SPECIES_PNGS = {
   trex: path.join(__dirname, '..', 'public', 'trex.png'),
   triceratops: path.join(__dirname, '..', 'public', 'tric.png'),
   brachiosaurus: path.join(__dirname, '..', 'public', 'brach.png'),
 };
 
-let _anthropic = null;
-function getClient() {
-  if (!_anthropic) _anthropic = new Anthropic();
-  return _anthropic;
+const DETECT_PROMPT = `Photo of a kids dinosaur coloring page with a dot grid background.
+1. Read the title text to identify the species. Answer exactly: trex, triceratops, or brachiosaurus
+2. The page may be rotated. How many degrees clockwise must the image be rotated so the title text is at the top and reads normally? Answer exactly: 0, 90, 180, or 270
+3. Give the tight bounding box of JUST the dinosaur outline and coloring (after rotation), as fractions of the rotated image width/height. Exclude dots, title text, indicator dots, and whitespace.
+Respond ONLY with JSON: {"species":"trex","rotation":0,"bbox":{"x":0.1,"y":0.2,"w":0.6,"h":0.7}}`;
+
+// Rebuilt only when the VISION_* / ANTHROPIC_API_KEY settings change
+let _vision = { key: null, provider: null };
+function getVisionProvider() {
+  const options = visionOptionsFromEnv();
+  const key = JSON.stringify(options);
+  if (_vision.key !== key) _vision = { key, provider: createVisionProvider(options) };
+  return _vision.provider;
 }
 
 /**
- * Use Sonnet to identify species (from title text) and bounding box of the dino drawing.
+ * Ask the vision provider (Sonnet by default) for the species (from title
+ * text) and bounding box of the dino drawing.
  * Sends the ORIGINAL photo so the title text is visible.
- * Returns { species, bbox: { x, y, w, h } } as fractions 0-1.
+ * Returns { species, bbox: { x, y, w, h }, rotation } with bbox as fractions 0-1.
+ * species is null when vision is off, or the call fails, times out, or
+ * answers with something unusable — the caller then works it out locally.
  */
 async function detectDino(pngBuffer) {
-  if (!process.env.ANTHROPIC_API_KEY) {
-    return { species: 'trex', bbox: { x: 0, y: 0, w: 1, h: 1 }, rotation: 0 };
-  }
+  const fallback = { species: null, bbox: { x: 0, y: 0, w: 1, h: 1 }, rotation: 0 };
+  const provider = getVisionProvider();
+  if (!provider) return fallback;
 
   try {
-    const client = getClient();
-    const base64 = pngBuffer.toString('base64');
-
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-6',
-      max_tokens: 128,
-      messages: [{
-        role: 'user',
-        content: [
-          {
-            type: 'image',
-            source: { type: 'base64', media_type: 'image/png', data: base64 },
-          },
-          {
-            type: 'text',
-            text: `Photo of a kids dinosaur coloring page with a dot grid background.
-1. Read the title text to identify the species. Answer exactly: trex, triceratops, or brachiosaurus
-2. The page may be rotated. How many degrees clockwise must the image be rotated so the title text is at the top and reads normally? Answer exactly: 0, 90, 180, or 270
-3. Give the tight bounding box of JUST the dinosaur outline and coloring (after rotation), as fractions of the rotated image width/height. Exclude dots, title text, indicator dots, and whitespace.
-Respond ONLY with JSON: {"species":"trex","rotation":0,"bbox":{"x":0.1,"y":0.2,"w":0.6,"h":0.7}}`
-          }
-        ]
-      }]
-    });
-
-    const text = response.content[0].text.trim();
+    const text = (await provider.ask({ image: pngBuffer, prompt: DETECT_PROMPT })).trim();
     const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
-      const species = SPECIES_LIST.includes(parsed.species) ? parsed.species : 'trex';
-      const rotation = [0, 90, 180, 270].includes(parsed.rotation) ? parsed.rotation : 0;
-      const bbox = parsed.bbox || { x: 0, y: 0, w: 1, h: 1 };
-      bbox.x = Math.max(0, Math.min(1, bbox.x));
-      bbox.y = Math.max(0, Math.min(1, bbox.y));
-      bbox.w = Math.max(0.1, Math.min(1 - bbox.x, bbox.w));
-      bbox.h = Math.max(0.1, Math.min(1 - bbox.y, bbox.h));
-      return { species, bbox, rotation };
+    if (!jsonMatch) throw new Error('no JSON in response');
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    if (!SPECIES_LIST.includes(parsed.species)) {
+      throw new Error(`unknown species ${JSON.stringify(parsed.species)}`);
     }
+    const rotation = [0, 90, 180, 270].includes(parsed.rotation) ? parsed.rotation : 0;
+    const bbox = parsed.bbox && typeof parsed.bbox === 'object' ? parsed.bbox : { x: 0, y: 0, w: 1, h: 1 };
+    bbox.x = Math.max(0, Math.min(1, Number(bbox.x) || 0));
+    bbox.y = Math.max(0, Math.min(1, Number(bbox.y) || 0));
+    bbox.w = Math.max(0.1, Math.min(1 - bbox.x, Number(bbox.w) || 1));
+    bbox.h = Math.max(0.1, Math.min(1 - bbox.y, Number(bbox.h) || 1));
+    return { species: parsed.species, bbox, rotation };
   } catch (e) {
-    console.error('Dino detection error:', e.message);
+    console.error(`Dino detection error (${provider.name}):`, e.message);
+  }
+  return fallback;
+}
+
+/**
+ * Find the species indicator dots in a grid-aligned (warped) page.
+ *
+ * Looks for solid, round, isolated black blobs near the grid's corners, then
+ * groups blobs that sit in a row ~2 dot diameters apart. The largest row is
+ * the indicator; its side tells which way the page's top is facing.
+ *
+ * @param {object} cv - OpenCV instance
+ * @param {object} warped - RGBA Mat of the grid plus margin
+ * @param {{ x: number, y: number, w: number, h: number }} grid - grid rect inside `warped`
+ * @param {number} spacing - grid dot spacing in pixels
+ * @returns {{ count: number, side: string, confidence: number }|null}
+ */
+function findIndicatorDots(cv, warped, grid, spacing) {
+  const gray = new cv.Mat();
+  cv.cvtColor(warped, gray, cv.COLOR_RGBA2GRAY);
+  const bin = new cv.Mat();
+  cv.threshold(gray, bin, 90, 255, cv.THRESH_BINARY_INV);
+
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  cv.findContours(bin, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+  // Printed dots are 16px across on a 14px grid → area ≈ 1 spacing², but
+  // thresholding shrinks them a lot in distant, blurry photos
+  const minArea = spacing * spacing * 0.04;
+  const maxArea = spacing * spacing * 3;
+  // Title text sits ~3.5 spacings outside the grid; the dots sit ~1.5 outside.
+  // Stray dots at the page edge can stretch the detected grid, so the band
+  // reaching into the grid is generous.
+  const outsideBand = spacing * 2.5;
+  const insideBand = Math.max(spacing * 6, Math.min(grid.w, grid.h) * 0.12);
+
+  const candidates = [];
+  for (let i = 0; i < contours.size(); i++) {
+    const contour = contours.get(i);
+    const area = cv.contourArea(contour);
+    if (area < minArea || area > maxArea) continue;
+    const perimeter = cv.arcLength(contour, true);
+    if (perimeter === 0) continue;
+    const circ = (4 * Math.PI * area) / (perimeter * perimeter);
+    if (circ < 0.6) continue;
+
+    const rect = cv.boundingRect(contour);
+    const aspect = rect.width / rect.height;
+    if (aspect < 0.6 || aspect > 1.6) continue;
+
+    // Solid fill — rejects hand-drawn rings and letters like "o"
+    const binRoi = bin.roi(rect);
+    const ownPixels = cv.countNonZero(binRoi);
+    const fill = ownPixels / (rect.width * rect.height);
+    if (fill < 0.6) { binRoi.delete(); continue; }
+
+    // Isolated — letters of the title have neighbours closer than the
+    // next indicator dot would be
+    const pad = Math.round((rect.width + rect.height) / 2 * 0.7);
+    const x0 = Math.max(0, rect.x - pad), y0 = Math.max(0, rect.y - pad);
+    const x1 = Math.min(bin.cols, rect.x + rect.width + pad);
+    const y1 = Math.min(bin.rows, rect.y + rect.height + pad);
+    const surround = bin.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+    const extraPixels = cv.countNonZero(surround) - ownPixels;
+    surround.delete();
+    if (extraPixels > ownPixels * 0.15) { binRoi.delete(); continue; }
+
+    // Printed black, not a dark marker spot (blue/purple coloring)
+    const colorRoi = warped.roi(rect);
+    const mean = cv.mean(colorRoi, binRoi);
+    colorRoi.delete(); binRoi.delete();
+    const maxCh = Math.max(mean[0], mean[1], mean[2]);
+    const minCh = Math.min(mean[0], mean[1], mean[2]);
+    if (maxCh - minCh > 40) continue;
+
+    const cx = rect.x + rect.width / 2;
+    const cy = rect.y + rect.height / 2;
+    if (!inCornerZone(cx, cy, grid, insideBand, outsideBand)) continue;
+    candidates.push({ cx, cy, area, d: (rect.width + rect.height) / 2 });
+  }
+  gray.delete(); bin.delete(); contours.delete(); hierarchy.delete();
+
+  if (candidates.length === 0) return null;
+
+  // The printed dots are the biggest round black marks near the corners;
+  // specks of background clutter (glitter, crumbs) are much smaller
+  const maxBlobArea = Math.max(...candidates.map(b => b.area));
+  const blobs = candidates.filter(b => b.area >= maxBlobArea * 0.5);
+
+  // Union blobs that sit in a row (same x or same y), centers ~1.9 dot
+  // diameters apart (30px pitch, 16px dots)
+  const parent = blobs.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < blobs.length; i++) {
+    for (let j = i + 1; j < blobs.length; j++) {
+      const dx = Math.abs(blobs[i].cx - blobs[j].cx);
+      const dy = Math.abs(blobs[i].cy - blobs[j].cy);
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      const d = (blobs[i].d + blobs[j].d) / 2;
+      const aligned = Math.min(dx, dy) < dist * 0.3; // within ~17° of an axis
+      if (aligned && dist > d * 1.3 && dist < d * 3) {
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+  const groups = new Map();
+  blobs.forEach((b, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(b);
+  });
+
+  const rows = [...groups.values()].sort((a, b) => b.length - a.length);
+  const best = rows[0];
+  if (best.length > 3) return null;
+
+  // A lone blob is more likely a stray mark than a row of dots; other
+  // candidate rows make the count ambiguous
+  let confidence = best.length > 1 ? 0.9 : 0.75;
+  if (rows.length > 1) confidence -= 0.3;
+
+  // The dots sit in a corner, so they're close to two edges. A row of dots
+  // runs along the edge it belongs to; a lone dot just takes the nearest.
+  const mx = best.reduce((sum, b) => sum + b.cx, 0) / best.length;
+  const my = best.reduce((sum, b) => sum + b.cy, 0) / best.length;
+  let edges = [
+    ['top', Math.abs(my - grid.y)],
+    ['bottom', Math.abs(my - (grid.y + grid.h))],
+    ['left', Math.abs(mx - grid.x)],
+    ['right', Math.abs(mx - (grid.x + grid.w))],
+  ];
+  if (best.length > 1) {
+    const horizontal = Math.abs(best[1].cx - best[0].cx) > Math.abs(best[1].cy - best[0].cy);
+    edges = edges.filter(([side]) => (side === 'top' || side === 'bottom') === horizontal);
+  }
+  edges.sort((a, b) => a[1] - b[1]);
+
+  return { count: best.length, side: edges[0][0], confidence };
+}
+
+/**
+ * Is (x, y) in the band along one of the grid's edges, and within the outer
+ * 30% of that edge? The indicator sits at a corner; the centered title
+ * and the dino itself don't.
+ */
+function inCornerZone(x, y, grid, insideBand, outsideBand) {
+  const u = (x - grid.x) / grid.w;
+  const v = (y - grid.y) / grid.h;
+  const nearCorner = t => t < 0.3 || t > 0.7;
+  const dists = {
+    top: grid.y - y,
+    bottom: y - (grid.y + grid.h),
+    left: grid.x - x,
+    right: x - (grid.x + grid.w),
+  };
+  for (const [side, d] of Object.entries(dists)) {
+    if (d > outsideBand || d < -insideBand) continue;
+    const along = side === 'top' || side === 'bottom' ? u : v;
+    if (nearCorner(along)) return true;
+  }
+  return false;
+}
+
+/**
+ * Find which side of the grid the bold title is printed on by comparing the
+ * amount of black ink in a band just outside each edge. The "Dinosaur's
+ * name" line is light gray and doesn't count.
+ *
+ * @returns {string|null} 'top', 'right', 'bottom', 'left', or null if no
+ *   side clearly stands out
+ */
+function findTitleSide(cv, warped, grid, spacing) {
+  const gray = new cv.Mat();
+  cv.cvtColor(warped, gray, cv.COLOR_RGBA2GRAY);
+  const bin = new cv.Mat();
+  cv.threshold(gray, bin, 90, 255, cv.THRESH_BINARY_INV);
+
+  // Skip the indicator dots (~1.5 spacings out); stop at the warp margin
+  const near = Math.round(spacing * 2.2);
+  const depth = Math.max(1, Math.round(spacing * WARP_MARGIN) - near);
+  const bands = {
+    top: [grid.x + grid.w * 0.2, grid.y - near - depth, grid.w * 0.6, depth],
+    bottom: [grid.x + grid.w * 0.2, grid.y + grid.h + near, grid.w * 0.6, depth],
+    left: [grid.x - near - depth, grid.y + grid.h * 0.2, depth, grid.h * 0.6],
+    right: [grid.x + grid.w + near, grid.y + grid.h * 0.2, depth, grid.h * 0.6],
+  };
+
+  const densities = [];
+  for (const [side, [x, y, w, h]] of Object.entries(bands)) {
+    const x0 = Math.max(0, Math.round(x)), y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(bin.cols, Math.round(x + w)), y1 = Math.min(bin.rows, Math.round(y + h));
+    if (x1 - x0 < 1 || y1 - y0 < 1) { densities.push([side, 0]); continue; }
+    const band = bin.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+    densities.push([side, cv.countNonZero(band) / ((x1 - x0) * (y1 - y0))]);
+    band.delete();
+  }
+  gray.delete(); bin.delete();
+
+  densities.sort((a, b) => b[1] - a[1]);
+  const [best, second] = densities;
+  if (best[1] < 0.02 || best[1] < second[1] * 2) return null;
+  return best[0];
+}
+
+/**
+ * Degrees clockwise to turn the warped grid so the title is on top. A row of
+ * 2–3 indicator dots is the strongest clue, then the title, then a lone dot.
+ */
+function pageRotation(indicator, titleSide) {
+  if (indicator && indicator.count > 1) return SIDE_ROTATION[indicator.side];
+  if (titleSide) return SIDE_ROTATION[titleSide];
+  if (indicator) return SIDE_ROTATION[indicator.side];
+  return 0;
+}
+
+/**
+ * Bounding box of the dino in the (upright) grid image, from its thick
+ * printed outline: the biggest connected dark stroke on the page. Grid dots
+ * are small separate blobs, and coloring mostly stays inside the outline or
+ * touches it, so neither pulls the box far off.
+ *
+ * @returns {{ x: number, y: number, w: number, h: number }|null} fractions 0-1
+ */
+function findDinoBBox(cv, warped, spacing) {
+  const width = warped.cols, height = warped.rows;
+  const gray = new cv.Mat();
+  cv.cvtColor(warped, gray, cv.COLOR_RGBA2GRAY);
+  const ink = new cv.Mat();
+  const block = Math.max(3, Math.round(spacing * 2) | 1);
+  cv.adaptiveThreshold(gray, ink, 255, cv.ADAPTIVE_THRESH_MEAN_C,
+    cv.THRESH_BINARY_INV, block, 15);
+
+  // Bridge small breaks in the outline from glare or pencil strokes
+  const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(3, 3));
+  cv.dilate(ink, ink, kernel);
+
+  const labels = new cv.Mat();
+  const stats = new cv.Mat();
+  const centroids = new cv.Mat();
+  const n = cv.connectedComponentsWithStats(ink, labels, stats, centroids, 8);
+
+  let best = null;
+  for (let i = 1; i < n; i++) {
+    const row = i * stats.cols;
+    const [x, y, w, h, area] = [0, 1, 2, 3, 4].map(j => stats.intAt(row + j));
+    // Skip shadows and paper edges that run along the whole frame
+    if (w > width * 0.95 && h > height * 0.95) continue;
+    if (!best || area > best.area) best = { x, y, w, h, area };
+  }
+  gray.delete(); ink.delete(); kernel.delete();
+  labels.delete(); stats.delete(); centroids.delete();
+
+  if (!best || best.w * best.h < width * height * 0.02) return null;
+  return { x: best.x / width, y: best.y / height, w: best.w / width, h: best.h / height };
+}
+
+/**
+ * Whiten the grid dots in an RGBA buffer, in place. Dots are medium-gray on
+ * white paper. Kid's coloring is saturated color. Outlines are very dark
+ * (near black). We replace mid-gray, low-saturation pixels with white —
+ * this catches all dots regardless of shape/threshold.
+ */
+function eraseGridDots(buf) {
+  for (let idx = 0; idx < buf.length; idx += 4) {
+    const r = buf[idx], g = buf[idx + 1], b = buf[idx + 2];
+    const maxCh = Math.max(r, g, b);
+    const minCh = Math.min(r, g, b);
+    const saturation = maxCh > 0 ? (maxCh - minCh) / maxCh : 0;
+
+    // Dot pixels: grayish (low saturation), not black outline, not white paper
+    // Gray pencil coloring also gets removed — acceptable tradeoff since
+    // the colorful parts (crayon, marker) are what matter on the 3D model
+    if (saturation < 0.15 && maxCh >= 80 && maxCh <= 225) {
+      buf[idx] = 255;
+      buf[idx + 1] = 255;
+      buf[idx + 2] = 255;
+    }
+  }
+}
+
+const rectCorners = r => [[r.x, r.y], [r.x + r.w, r.y], [r.x, r.y + r.h], [r.x + r.w, r.y + r.h]];
+
+/** Smallest box around points given in fractions 0-1 (clamped to the image). */
+function boundingBox(points) {
+  const xs = points.map(([x]) => Math.min(1, Math.max(0, x)));
+  const ys = points.map(([, y]) => Math.min(1, Math.max(0, y)));
+  const x = Math.min(...xs), y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
+
+/** A point in fractions of an image, once the image is turned `degrees` clockwise. */
+function turnPoint(x, y, degrees) {
+  return { 0: [x, y], 90: [1 - y, x], 180: [1 - x, 1 - y], 270: [y, 1 - x] }[degrees];
+}
+
+/**
+ * Where a rectangle of the upright grid image lies on the photo: undo the
+ * grid's quarter turn and the warp (a turn by the grid angle), then make the
+ * quarter turn on the photo instead. Returns a box in fractions of the photo
+ * turned by the full rotation.
+ */
+function gridRectToPhoto(rect, frame, localRotation, width, height) {
+  return boundingBox(rectCorners(rect).map(([x, y]) => {
+    const [u, v] = {
+      0: [x, y],
+      90: [y, frame.h - x],
+      180: [frame.w - x, frame.h - y],
+      270: [frame.w - y, x],
+    }[localRotation];
+    const p1 = frame.lo1 + frame.margin + u;
+    const p2 = frame.lo2 + frame.margin + v;
+    const px = (p1 * frame.cosA - p2 * frame.sinA) / width;
+    const py = (p1 * frame.sinA + p2 * frame.cosA) / height;
+    return turnPoint(px, py, localRotation);
+  }));
+}
+
+/**
+ * Combine the local indicator-dot reading with Sonnet's answer.
+ * Dots win ties — they're printed for machines, the title is for kids.
+ */
+function chooseSpecies(dots, visionSpecies) {
+  const dotSpecies = dots ? DOT_SPECIES[dots.count] : null;
+  if (dotSpecies && visionSpecies === dotSpecies) {
+    const confidence = 1 - (1 - dots.confidence) * (1 - VISION_CONFIDENCE);
+    return { species: dotSpecies, method: 'dots+vision', confidence };
+  }
+  if (dotSpecies && (!visionSpecies || dots.confidence >= VISION_CONFIDENCE)) {
+    return { species: dotSpecies, method: 'dots', confidence: dots.confidence };
   }
-  return { species: 'trex', bbox: { x: 0, y: 0, w: 1, h: 1 }, rotation: 0 };
+  if (visionSpecies) {
+    return { species: visionSpecies, method: 'vision', confidence: VISION_CONFIDENCE };
+  }
+  return { species: 'trex', method: 'default', confidence: 0 };
 }
 
 /**
@@ -77,11 +420,34 @@ Respond ONLY with JSON: {"species":"trex","rotation":0,"bbox":{"x":0.1,"y":0.2,"
  *
  * 1. Detect dot grid → angle, spacing, 4 corners.
  * 2. Perspective-warp the grid rectangle to a clean axis-aligned image.
- * 3. Erase grid dots (mid-gray pixels).
- * 4. Ask Sonnet for species (reads title text from original photo).
+ * 3. Count the species indicator dots next to the grid.
+ * 4. Erase grid dots (mid-gray pixels).
  * 5. Auto-trim to dino drawing bounds, resize to species texture dimensions.
+ *
+ * Sonnet (or whichever vision provider VISION_* configures, when an API key
+ * is set) supplies rotation and bbox, and a second opinion on species from
+ * the title text. Without it, or when it fails or runs late, rotation comes
+ * from where the indicator dots and title sit around the grid, and bbox from
+ * the printed outline.
+ *
+ * @param {Buffer} buffer - Raw image buffer
+ * @param {{ species?: string, rotation?: number,
+ *   bbox?: { x: number, y: number, w: number, h: number } }} [overrides] -
+ *   what the host already knows. species skips detection ('manual',
+ *   confidence 1); rotation (0, 90, 180 or 270 clockwise) turns the photo
+ *   instead of Sonnet or the page layout; bbox crops the photo so turned,
+ *   in fractions of it
+ * @returns {Promise<{ imageData: string, species: string, speciesMethod: string,
+ *   speciesConfidence: number, rotation: number, bbox: object,
+ *   photoBox: object, dinoDetected: boolean, hint: string|null,
+ *   hints: { code: string, message: string }[] }>}
+ *   speciesMethod is 'dots', 'vision', 'dots+vision', 'manual', or 'default'
+ *   (nothing could tell — falls back to trex with confidence 0). photoBox
+ *   is what the texture was cut from, as a bbox override would give it.
+ *   hints are what the guest could fix by retaking the photo
+ *   (lib/hints.js); hint is the first message.
  */
-async function processDinoImage(buffer) {
+async function processDinoImage(buffer, overrides = {}) {
   const cv = await initCV();
 
   const MAX_DIM = 1200;
@@ -94,19 +460,29 @@ async function processDinoImage(buffer) {
 
   const orientedPng = await oriented.clone().resize(800, 800, { fit: 'inside' }).png().toBuffer();
 
-  // Ask Sonnet for species, rotation, and bbox before any CV processing
-  const { species, bbox, rotation } = await detectDino(orientedPng);
-
-  // Apply Sonnet's rotation correction on top of EXIF orientation
+  // Ask Sonnet for species, rotation, and bbox before any CV processing,
+  // unless the host has given all three
+  const allGiven = overrides.species && overrides.rotation !== undefined && overrides.bbox;
+  const vision = allGiven ? { species: null, bbox: { ...FULL_BBOX }, rotation: 0 } : await detectDino(orientedPng);
+  const visionAnswered = vision.species !== null;
+  const framedByHand = overrides.rotation !== undefined || overrides.bbox !== undefined;
+  const rotation = overrides.rotation !== undefined ? overrides.rotation : vision.rotation;
+  let bbox = vision.bbox;
+  let localRotation = 0;
+
+  // Apply the host's or Sonnet's rotation on top of EXIF orientation. sharp
+  // keeps only one rotate() per pipeline, so orient in a pass of its own.
   let pipeline = sharp(buffer).rotate().ensureAlpha();
   if (rotation) {
-    pipeline = pipeline.rotate(rotation);
+    const upright = await sharp(buffer).rotate().png().toBuffer();
+    pipeline = sharp(upright).rotate(rotation).ensureAlpha();
   }
   const { data, info } = await pipeline
     .resize(MAX_DIM, MAX_DIM, { fit: 'inside', withoutEnlargement: true })
     .raw().toBuffer({ resolveWithObject: true });
 
   const { width, height } = info;
+  const hintCodes = photoHints(data, width, height);
 
   const src = new cv.Mat(height, width, cv.CV_8UC4);
   src.data.set(data);
@@ -200,6 +576,8 @@ async function processDinoImage(buffer) {
   let warpedBuf = null;
   let warpedW = 0;
   let warpedH = 0;
+  let warpFrame = null; // how to map the grid image back onto the photo
+  let indicator = null;
 
   if (gridAlignedDots.length >= 10 && medianSpacing > 0) {
     const cosA = Math.cos(gridAngle);
@@ -217,70 +595,97 @@ async function processDinoImage(buffer) {
       if (p2 > maxProj2) maxProj2 = p2;
     }
 
-    const corners = [
-      { x: minProj1 * cosA - minProj2 * sinA, y: minProj1 * sinA + minProj2 * cosA },
-      { x: maxProj1 * cosA - minProj2 * sinA, y: maxProj1 * sinA + minProj2 * cosA },
-      { x: maxProj1 * cosA - maxProj2 * sinA, y: maxProj1 * sinA + maxProj2 * cosA },
-      { x: minProj1 * cosA - maxProj2 * sinA, y: minProj1 * sinA + maxProj2 * cosA },
-    ];
-
     const gridW = maxProj1 - minProj1;
     const gridH = maxProj2 - minProj2;
     warpedW = Math.round(gridW);
     warpedH = Math.round(gridH);
 
+    // Warp the grid plus a margin so the indicator dots come along; the grid
+    // itself is cut back out of the middle afterwards
+    const margin = Math.round(medianSpacing * WARP_MARGIN);
+    const lo1 = minProj1 - margin, hi1 = maxProj1 + margin;
+    const lo2 = minProj2 - margin, hi2 = maxProj2 + margin;
+    const corners = [
+      { x: lo1 * cosA - lo2 * sinA, y: lo1 * sinA + lo2 * cosA },
+      { x: hi1 * cosA - lo2 * sinA, y: hi1 * sinA + lo2 * cosA },
+      { x: hi1 * cosA - hi2 * sinA, y: hi1 * sinA + hi2 * cosA },
+      { x: lo1 * cosA - hi2 * sinA, y: lo1 * sinA + hi2 * cosA },
+    ];
+
     if (warpedW > 50 && warpedH > 50) {
+      const outW = warpedW + 2 * margin;
+      const outH = warpedH + 2 * margin;
       const srcPts = cv.matFromArray(4, 1, cv.CV_32FC2, [
         corners[0].x, corners[0].y, corners[1].x, corners[1].y,
         corners[2].x, corners[2].y, corners[3].x, corners[3].y,
       ]);
       const dstPts = cv.matFromArray(4, 1, cv.CV_32FC2, [
-        0, 0, warpedW, 0, warpedW, warpedH, 0, warpedH,
+        0, 0, outW, 0, outW, outH, 0, outH,
       ]);
 
       const M = cv.getPerspectiveTransform(srcPts, dstPts);
       const warped = new cv.Mat();
-      cv.warpPerspective(src, warped, M, new cv.Size(warpedW, warpedH),
+      cv.warpPerspective(src, warped, M, new cv.Size(outW, outH),
         cv.INTER_LINEAR, cv.BORDER_REPLICATE);
 
-      warpedBuf = Buffer.from(warped.data);
+      const gridRect = { x: margin, y: margin, w: warpedW, h: warpedH };
+      indicator = findIndicatorDots(cv, warped, gridRect, medianSpacing);
+      warpFrame = { cosA, sinA, lo1, lo2, margin, w: warpedW, h: warpedH };
+
+      const gridView = warped.roi(new cv.Rect(margin, margin, warpedW, warpedH));
+      let gridOnly = new cv.Mat();
+      gridView.copyTo(gridOnly); // roi clone() isn't continuous in opencv.js
+
+      // Without Sonnet, turn the page upright from the printed layout
+      if (!visionAnswered) {
+        if (!framedByHand) {
+          localRotation = pageRotation(indicator, findTitleSide(cv, warped, gridRect, medianSpacing));
+        }
+        if (localRotation) {
+          const codes = { 90: cv.ROTATE_90_CLOCKWISE, 180: cv.ROTATE_180, 270: cv.ROTATE_90_COUNTERCLOCKWISE };
+          const upright = new cv.Mat();
+          cv.rotate(gridOnly, upright, codes[localRotation]);
+          gridOnly.delete();
+          gridOnly = upright;
+          warpedW = gridOnly.cols;
+          warpedH = gridOnly.rows;
+        }
+        // ...and crop to the dino outline instead of the whole grid
+        bbox = findDinoBBox(cv, gridOnly, medianSpacing) || bbox;
+      }
+
+      warpedBuf = Buffer.from(gridOnly.data);
+      gridView.delete(); gridOnly.delete();
       srcPts.delete(); dstPts.delete(); M.delete(); warped.delete();
     }
   }
 
   src.delete(); gray.delete();
 
-  // ── Step 4: Erase grid dots via color filter ──
-  // Dots are medium-gray on white paper. Kid's coloring is saturated color.
-  // Outlines are very dark (near black). We replace mid-gray, low-saturation
-  // pixels with white — this catches all dots regardless of shape/threshold.
-  if (warpedBuf) {
-    for (let i = 0; i < warpedW * warpedH; i++) {
-      const idx = i * 4;
-      const r = warpedBuf[idx], g = warpedBuf[idx + 1], b = warpedBuf[idx + 2];
-      const maxCh = Math.max(r, g, b);
-      const minCh = Math.min(r, g, b);
-      const saturation = maxCh > 0 ? (maxCh - minCh) / maxCh : 0;
-
-      // Dot pixels: grayish (low saturation), not black outline, not white paper
-      // Gray pencil coloring also gets removed — acceptable tradeoff since
-      // the colorful parts (crayon, marker) are what matter on the 3D model
-      if (saturation < 0.15 && maxCh >= 80 && maxCh <= 225) {
-        warpedBuf[idx] = 255;
-        warpedBuf[idx + 1] = 255;
-        warpedBuf[idx + 2] = 255;
-      }
-    }
+  if (!warpedBuf) {
+    if (!overrides.bbox) hintCodes.push('no_grid');
+  } else if (Math.abs(gridAngle) > MAX_TILT) {
+    hintCodes.push('rotated');
   }
 
-  // ── Step 5: Use species + bbox from Sonnet (already detected above) ──
+  // ── Step 4: Erase grid dots via color filter ──
+  // A box set by hand is cut from the photo rather than the warped grid
+  if (warpedBuf) eraseGridDots(overrides.bbox ? data : warpedBuf);
+
+  // ── Step 5: Species from indicator dots, with Sonnet as second opinion ──
+  const { species, method: speciesMethod, confidence: speciesConfidence } = overrides.species
+    ? { species: overrides.species, method: 'manual', confidence: 1 }
+    : chooseSpecies(indicator, vision.species);
   const speciesPng = SPECIES_PNGS[species] || SPECIES_PNGS.trex;
   const speciesMeta = await sharp(speciesPng).metadata();
 
   // ── Step 6: Crop to bbox, auto-trim, resize to species texture ──
-  const cropSrcW = warpedBuf ? warpedW : width;
-  const cropSrcH = warpedBuf ? warpedH : height;
-  const cropSrcBuf = warpedBuf || data;
+  const fromPhoto = !warpedBuf || overrides.bbox;
+  if (overrides.bbox) bbox = overrides.bbox;
+  const cropSrcW = fromPhoto ? width : warpedW;
+  const cropSrcH = fromPhoto ? height : warpedH;
+  const cropSrcBuf = fromPhoto ? data : warpedBuf;
+  let cut = { x: 0, y: 0, w: cropSrcW, h: cropSrcH }; // what the texture is made of
 
   const cx = Math.max(0, Math.round(bbox.x * cropSrcW));
   const cy = Math.max(0, Math.round(bbox.y * cropSrcH));
@@ -289,6 +694,7 @@ async function processDinoImage(buffer) {
 
   let pngBuffer;
   if (cw > 10 && ch > 10) {
+    cut = { x: cx, y: cy, w: cw, h: ch };
     const cropBuf = Buffer.alloc(cw * ch * 4);
     for (let y = 0; y < ch; y++) {
       for (let x = 0; x < cw; x++) {
@@ -326,6 +732,7 @@ async function processDinoImage(buffer) {
     const th = trimBottom - trimTop + 1;
 
     if (tw > 10 && th > 10) {
+      cut = { x: cx + trimLeft, y: cy + trimTop, w: tw, h: th };
       const trimmedBuf = Buffer.alloc(tw * th * 4);
       for (let y = 0; y < th; y++) {
         for (let x = 0; x < tw; x++) {
@@ -351,11 +758,21 @@ async function processDinoImage(buffer) {
       .png().toBuffer();
   }
 
+  const texture = await sharp(pngBuffer).ensureAlpha().raw().toBuffer();
+  if (inkCoverage(texture) < LIMITS.blank.dinos) hintCodes.push('blank');
+
   return {
     imageData: `data:image/png;base64,${pngBuffer.toString('base64')}`,
     species,
+    speciesMethod,
+    speciesConfidence,
+    rotation: (rotation + localRotation) % 360,
+    bbox,
+    photoBox: fromPhoto
+      ? boundingBox(rectCorners(cut).map(([x, y]) => [x / width, y / height]))
+      : gridRectToPhoto(cut, warpFrame, localRotation, width, height),
     dinoDetected: true,
-    hint: null,
+    ...describeHints(hintCodes),
   };
 }
 
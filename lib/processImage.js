@@ -1,4 +1,5 @@
 const sharp = require('sharp');
+const { LIMITS, photoHints, inkCoverage, describeHints } = require('./hints');
 
 // --- Lazy OpenCV initialization (WASM, cached after first load) ---
 // The Emscripten module is a thenable whose .then() must be consumed exactly
@@ -25,9 +26,16 @@ function initCV() {
  * The frontend (loadShellTexture) handles contrast boosting.
  *
  * @param {Buffer} buffer - Raw image buffer
- * @returns {Promise<{ imageData: string, shellDetected: boolean, hint: string|null }>}
+ * @param {{ circle?: { cx: number, cy: number, r: number } }} [overrides] -
+ *   circle: the printed shell border, set by hand instead of detected
+ * @returns {Promise<{ imageData: string, shellDetected: boolean,
+ *   circle: { cx: number, cy: number, r: number }|null, hint: string|null,
+ *   hints: { code: string, message: string }[] }>}
+ *   circle (found or given) is in fractions of the upright photo: cx of its
+ *   width, cy of its height, r of its shorter side. hints are what the guest
+ *   could fix by retaking the photo (lib/hints.js); hint is the first message
  */
-async function processImage(buffer) {
+async function processImage(buffer, overrides = {}) {
   const cv = await initCV();
 
   const { data, info } = await sharp(buffer)
@@ -38,11 +46,20 @@ async function processImage(buffer) {
     .toBuffer({ resolveWithObject: true });
 
   const { width, height } = info;
+  const shortSide = Math.min(width, height);
+  const hintCodes = photoHints(data, width, height);
 
   // --- Detect circle using OpenCV HoughCircles ---
   let useShellMask = false;
   let circleCx, circleCy, circleR;
 
+  if (overrides.circle) {
+    useShellMask = true;
+    circleCx = Math.round(overrides.circle.cx * width);
+    circleCy = Math.round(overrides.circle.cy * height);
+    circleR = Math.round(overrides.circle.r * shortSide);
+  }
+
   const src = new cv.Mat(height, width, cv.CV_8UC4);
   src.data.set(data);
 
@@ -52,21 +69,25 @@ async function processImage(buffer) {
   const blurred = new cv.Mat();
   cv.GaussianBlur(gray, blurred, new cv.Size(9, 9), 2, 2);
 
+  // A circle set by hand skips detection (circles stays empty)
   const circles = new cv.Mat();
-  cv.HoughCircles(
-    blurred, circles, cv.HOUGH_GRADIENT,
-    1,                                            // dp
-    height / 8,                                   // minDist
-    100,                                          // param1 (Canny high threshold)
-    30,                                           // param2 (accumulator threshold)
-    Math.floor(Math.min(width, height) * 0.15),   // minRadius
-    Math.floor(Math.min(width, height) * 0.49)    // maxRadius
-  );
+  if (!overrides.circle) {
+    cv.HoughCircles(
+      blurred, circles, cv.HOUGH_GRADIENT,
+      1,                                            // dp
+      height / 8,                                   // minDist
+      100,                                          // param1 (Canny high threshold)
+      30,                                           // param2 (accumulator threshold)
+      Math.floor(Math.min(width, height) * 0.15),   // minRadius
+      Math.floor(Math.min(width, height) * 0.49)    // maxRadius
+    );
+  }
 
   // Pick the circle with the best dark-border ratio (the printed shell
   // outline).  Spurious circles from flippers/head have low ratios; if a
   // kid draws a circle inside, the printed border's ratio wins or radius
   // breaks the tie.
+  let cutOff = false; // a dark border was found, but too little of it in frame
   if (circles.cols > 0) {
     const candidates = [];
     for (let i = 0; i < circles.cols; i++) {
@@ -103,7 +124,11 @@ async function processImage(buffer) {
         if (foundDark) dark++;
       }
       // Reject if too much of the border is out of frame or not dark enough
-      if (valid < samples * 0.75 || dark < valid * 0.5) continue;
+      if (dark < valid * 0.5) continue;
+      if (valid < samples * 0.75) {
+        cutOff = true;
+        continue;
+      }
 
       // Best dark ratio wins; radius breaks ties
       const score = dark / valid;
@@ -126,7 +151,15 @@ async function processImage(buffer) {
   blurred.delete();
   circles.delete();
 
-  let hint = null;
+  // No shell, though the photo has the ink of a coloring page
+  if (!useShellMask) {
+    let ink = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i] < 80 && data[i + 1] < 80 && data[i + 2] < 80) ink++;
+    }
+    if (cutOff) hintCodes.push('circle_cut_off');
+    else if (ink >= width * height * 0.03) hintCodes.push('no_circle');
+  }
 
   // --- Mask + crop to circle so only the shell interior reaches the turtle ---
   let outData = data;
@@ -161,6 +194,7 @@ async function processImage(buffer) {
     outData = cropped;
     outWidth = cropW;
     outHeight = cropH;
+    if (inkCoverage(cropped) < LIMITS.blank.turtles) hintCodes.push('blank');
   }
 
   const pngBuffer = await sharp(outData, {
@@ -170,7 +204,8 @@ async function processImage(buffer) {
   return {
     imageData: `data:image/png;base64,${pngBuffer.toString('base64')}`,
     shellDetected: useShellMask,
-    hint,
+    circle: useShellMask ? { cx: circleCx / width, cy: circleCy / height, r: circleR / shortSide } : null,
+    ...describeHints(hintCodes),
   };
 }
 
@@ -0,0 +1,150 @@
+const { ACTIONS, checkTarget } = require('./actions');
+
+const MAX_STEPS = 200;
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+/**
+ * Check a show timeline. Each step is a group command with a time: `at` a
+ * clock time ('15:00' or '15:00:30', today, server time) or `after` seconds
+ * since the show started.
+ *
+ * @param {{ at?: string, after?: number, action: string,
+ *   target?: string|string[], note?: string }[]} steps
+ *   target: as for group commands, 'all' when left out
+ * @returns {string|null} an error message, or null when valid
+ */
+function validateShow(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) return 'A show needs at least one step.';
+  if (steps.length > MAX_STEPS) return `A show can have at most ${MAX_STEPS} steps.`;
+  for (const [i, step] of steps.entries()) {
+    const at = `Step ${i + 1}`;
+    if (!step || typeof step !== 'object') return `${at} must be an object.`;
+    if ((step.at === undefined) === (step.after === undefined)) return `${at} needs either at or after.`;
+    if (step.at !== undefined && !CLOCK_PATTERN.test(step.at)) return `${at}: at must be a time like 15:00.`;
+    if (step.after !== undefined && !(Number.isFinite(step.after) && step.after >= 0)) {
+      return `${at}: after must be a number of seconds.`;
+    }
+    if (!Object.hasOwn(ACTIONS, step.action)) return `${at}: invalid action.`;
+    if (step.target !== undefined && checkTarget(step.target)) return `${at}: invalid target.`;
+    if (step.note !== undefined && typeof step.note !== 'string') return `${at}: note must be text.`;
+  }
+  return null;
+}
+
+/** Today's `HH:MM[:SS]` around `t`, in the server's time zone. */
+function clockTime(t, at) {
+  const [, h, m, s = '0'] = at.match(CLOCK_PATTERN);
+  const date = new Date(t);
+  date.setHours(Number(h), Number(m), Number(s), 0);
+  return date.getTime();
+}
+
+/**
+ * A scripted show for one event: timed steps that go out as group
+ * commands. The server calls tick() every second, which sends the steps
+ * that are due through `dispatch`.
+ *
+ * Statuses: ready (loaded), running, paused, finished. Pausing holds every
+ * step still to come, clock-time ones included, for as long as the pause
+ * lasts. Steps whose clock time had already passed when the show started
+ * are missed rather than sent all at once.
+ *
+ * @param {{ steps: object[], dispatch: (step: object) => object,
+ *   now?: () => number }} options
+ *   steps: a timeline that passed validateShow
+ *   dispatch: sends a step, returning what to show as its result
+ */
+function createShow({ steps, dispatch, now = Date.now }) {
+  let status = 'ready';
+  let startedAt = null;
+  let pausedAt = null;
+  let timeline = [];
+
+  function reset() {
+    timeline = steps.map((step, index) => ({
+      index,
+      at: step.at,
+      after: step.after,
+      action: step.action,
+      target: step.target === undefined ? 'all' : step.target,
+      note: step.note,
+      dueAt: null,
+      status: 'waiting',
+    }));
+  }
+  reset();
+
+  const waiting = () => timeline.filter(step => step.status === 'waiting');
+
+  function finishIfDone() {
+    if (waiting().length === 0) status = 'finished';
+  }
+
+  return {
+    /** Start from the top, or carry on after a pause. */
+    start() {
+      const t = now();
+      if (status === 'running') return false;
+      if (status === 'paused') {
+        const held = t - pausedAt;
+        for (const step of waiting()) step.dueAt += held;
+        pausedAt = null;
+        status = 'running';
+        return true;
+      }
+      reset();
+      startedAt = t;
+      status = 'running';
+      for (const step of timeline) {
+        step.dueAt = step.at !== undefined ? clockTime(t, step.at) : t + step.after * 1000;
+        if (step.at !== undefined && step.dueAt < t) step.status = 'missed';
+      }
+      finishIfDone();
+      return true;
+    },
+
+    pause() {
+      if (status !== 'running') return false;
+      status = 'paused';
+      pausedAt = now();
+      return true;
+    },
+
+    /** Drop the next step without sending it. */
+    skip() {
+      if (status !== 'running' && status !== 'paused') return false;
+      const next = waiting().sort((a, b) => a.dueAt - b.dueAt)[0];
+      next.status = 'skipped';
+      finishIfDone();
+      return true;
+    },
+
+    /** Send the steps that are due, in order; returns them. */
+    tick() {
+      if (status !== 'running') return [];
+      const t = now();
+      const due = waiting().filter(step => step.dueAt <= t).sort((a, b) => a.dueAt - b.dueAt);
+      for (const step of due) {
+        step.status = 'sent';
+        step.sentAt = t;
+        step.result = dispatch(step);
+      }
+      finishIfDone();
+      return due;
+    },
+
+    /** For the admin page: status and every step, as written. */
+    state() {
+      const next = waiting().sort((a, b) => a.dueAt - b.dueAt)[0];
+      return {
+        status,
+        startedAt,
+        pausedAt,
+        next: next && status !== 'ready' ? next.index : null,
+        steps: timeline.map(step => ({ ...step })),
+      };
+    },
+  };
+}
+
+module.exports = { createShow, validateShow, MAX_STEPS };
@@ -0,0 +1,58 @@
+/**
+ * Format one Server-Sent Events frame. `type` is the SSE event name (omitted
+ * for the default `message` event); `id` becomes the client's Last-Event-ID.
+ */
+function formatFrame({ id, type, data }) {
+  return `${id ? `id: ${id}\n` : ''}${type ? `event: ${type}\n` : ''}data: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * The last `limit` entity changes sent to an event's live screens, so a
+ * screen that reconnects can be sent what it missed instead of everything.
+ *
+ * Ids are `<epoch>-<seq>`. The epoch changes every server start, so an id
+ * from before a restart is never mistaken for one of this run's.
+ *
+ * @param {{ limit?: number, epoch?: string }} options
+ */
+function createSseLog({ limit = 100, epoch = Date.now().toString(36) } = {}) {
+  const entries = []; // { seq, mode, frame }, oldest first
+  let seq = 0;
+
+  return {
+    /** Id of the latest frame (`<epoch>-0` before any). */
+    lastId() {
+      return `${epoch}-${seq}`;
+    },
+
+    /**
+     * Record a change and return its frame for broadcasting.
+     * @param {string|null} mode 'turtles' or 'dinos', or null for both
+     */
+    append(type, data, mode = null) {
+      seq++;
+      const frame = formatFrame({ id: `${epoch}-${seq}`, type, data });
+      entries.push({ seq, mode, frame });
+      if (entries.length > limit) entries.shift();
+      return frame;
+    },
+
+    /**
+     * Changes after a client's Last-Event-ID.
+     * @returns {{ mode: string|null, frame: string }[]|null} null when they
+     *   can't be replayed (no id, another server run, or too long ago) and
+     *   the client needs a full snapshot instead
+     */
+    since(lastEventId) {
+      const match = /^([a-z0-9]+)-(\d+)$/.exec(lastEventId || '');
+      if (!match || match[1] !== epoch) return null;
+      const after = Number(match[2]);
+      if (after > seq) return null;
+      const oldest = entries.length ? entries[0].seq : seq + 1;
+      if (after < oldest - 1) return null;
+      return entries.filter(e => e.seq > after).map(({ mode, frame }) => ({ mode, frame }));
+    },
+  };
+}
+
+module.exports = { createSseLog, formatFrame };
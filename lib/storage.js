@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+// Metadata persisted per entity. The texture is NOT stored here — the
+// processed PNG already lives in drawings/, and its URL is worked out from
+// `file` on boot. `status` is only set ('pending') while an upload waits
+// for the host's approval; `original` names the kept upload photo, next to
+// `file`, and `crop` is where it was cut from, for the admin editor.
+// `pinned` ones are never evicted (see lib/capacity.js); `featured` ones
+// are brought closer every so often on the live screens. The host sets
+// both from /admin. `lastInteractedAt` (the last guest command) ranks
+// least-recent eviction, so it has to survive a restart too.
+const ENTITY_FIELDS = [
+  'id', 'name', 'species', 'depth', 'speed', 'amplitude', 'phase',
+  'direction', 'createdAt', 'file', 'status', 'original', 'crop', 'pinned',
+  'featured', 'lastInteractedAt',
+];
+
+// Registry entries for extra events (see lib/events.js). Only the default
+// event's store carries these; each event's entities live in its own store.
+const EVENT_FIELDS = ['code', 'name', 'modes', 'moderation', 'archived', 'createdAt'];
+
+function pick(obj, fields) {
+  const out = {};
+  for (const key of fields) {
+    if (obj[key] !== undefined) out[key] = obj[key];
+  }
+  return out;
+}
+
+function pickMetadata(entity) {
+  return pick(entity, ENTITY_FIELDS);
+}
+
+/**
+ * Highest numeric part of the given ids plus one ('12' → 13, 'd7' → 8).
+ * Used to keep id counters monotonic even if a saved counter is stale.
+ */
+function nextFreeId(entities) {
+  let max = 0;
+  for (const e of entities) {
+    const n = parseInt(String(e.id).replace(/^\D+/, ''), 10);
+    if (n > max) max = n;
+  }
+  return max + 1;
+}
+
+function normalizeState(raw) {
+  const turtles = Array.isArray(raw.turtles) ? raw.turtles.map(pickMetadata) : [];
+  const dinos = Array.isArray(raw.dinos) ? raw.dinos.map(pickMetadata) : [];
+  const state = {
+    turtles,
+    dinos,
+    nextId: Math.max(Number(raw.nextId) || 1, nextFreeId(turtles)),
+    nextDinoId: Math.max(Number(raw.nextDinoId) || 1, nextFreeId(dinos)),
+  };
+  if (Array.isArray(raw.events)) state.events = raw.events.map(e => pick(e, EVENT_FIELDS));
+  return state;
+}
+
+/**
+ * Store backed by a single JSON file. Writes go to a temp file first and are
+ * renamed into place so a crash mid-write never leaves a truncated file.
+ *
+ * @param {string} filePath
+ */
+function createJsonStore(filePath) {
+  return {
+    load() {
+      if (!fs.existsSync(filePath)) return null;
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return normalizeState(raw);
+    },
+    save(state) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(normalizeState(state), null, 2));
+      fs.renameSync(tmpPath, filePath);
+    },
+  };
+}
+
+/**
+ * Store that only lives as long as the process. Useful for tests and for
+ * running without persistence (STORAGE=memory).
+ */
+function createMemoryStore() {
+  let snapshot = null;
+  return {
+    load() {
+      return snapshot ? normalizeState(JSON.parse(snapshot)) : null;
+    },
+    save(state) {
+      snapshot = JSON.stringify(normalizeState(state));
+    },
+  };
+}
+
+/**
+ * Build a store from options. Every store exposes the same interface:
+ *   load() → { turtles, dinos, nextId, nextDinoId, events? } | null (nothing saved yet)
+ *   save(state)
+ *
+ * @param {{ type?: string, file?: string }} options
+ */
+function createStore({ type = 'json', file } = {}) {
+  switch (type) {
+    case 'json':
+      if (!file) throw new Error('JSON store requires a file path');
+      return createJsonStore(file);
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
+
+module.exports = { createStore, createJsonStore, createMemoryStore, pickMetadata };
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// Texture URLs carry a hash of the PNG, so a screen can keep a texture
+// for as long as it likes: a new drawing (say, after reprocessing) gets a
+// new URL.
+const CACHE_FOREVER = 'public, max-age=31536000, immutable';
+
+/** The PNG in a `data:image/png;base64,` URI, as the pipelines return it. */
+function pngFromDataUri(imageData) {
+  return Buffer.from(imageData.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+}
+
+/** A short hash of the PNG's bytes. */
+function contentHash(png) {
+  return crypto.createHash('sha256').update(png).digest('hex').slice(0, 16);
+}
+
+/** `url` with the PNG's hash on it, e.g. `/drawings/1_Ana.png?v=3f2a…`. */
+function textureUrl(url, png) {
+  return `${url}?v=${contentHash(png)}`;
+}
+
+/**
+ * Cache-Control for a texture request: hashed URLs never change; anything
+ * else is checked against its ETag each time.
+ */
+function textureCacheControl(query) {
+  return query && query.v ? CACHE_FOREVER : 'no-cache';
+}
+
+module.exports = { pngFromDataUri, contentHash, textureUrl, textureCacheControl, CACHE_FOREVER };
@@ -0,0 +1,60 @@
+const sharp = require('sharp');
+
+const DEFAULTS = {
+  maxTexture: 1024, // texture sides are powers of two up to this
+  minTexture: 64,
+  thumbnail: 256, // longest side of a thumbnail
+  quality: 85, // WebP
+};
+
+// What each variant is for, and what replaces `.png` in its file name:
+// texture for the live screens' GPUs, thumbnail for the admin grid, webp
+// (full size) for the gallery
+const VARIANTS = {
+  texture: '_texture.png',
+  thumbnail: '_thumb.webp',
+  webp: '.webp',
+};
+
+/** The power of two nearest `n`, kept within [min, max]. */
+function powerOfTwo(n, min, max) {
+  return Math.min(max, Math.max(min, 2 ** Math.round(Math.log2(n))));
+}
+
+/**
+ * Make the variants of a processed drawing (see VARIANTS). The texture is
+ * stretched to power-of-two sides, which the 3D models' UVs don't mind,
+ * so GPUs can mipmap it; the WebPs keep the drawing's shape and alpha.
+ *
+ * @param {Buffer} png the drawing, as the pipelines make it
+ * @param {{ maxTexture?: number, minTexture?: number, thumbnail?: number,
+ *   quality?: number }} [options]
+ * @returns {Promise<{ texture: Buffer, thumbnail: Buffer, webp: Buffer }>}
+ */
+async function makeVariants(png, {
+  maxTexture = DEFAULTS.maxTexture,
+  minTexture = DEFAULTS.minTexture,
+  thumbnail = DEFAULTS.thumbnail,
+  quality = DEFAULTS.quality,
+} = {}) {
+  const { width, height } = await sharp(png).metadata();
+  const [texture, thumb, webp] = await Promise.all([
+    sharp(png)
+      .resize(powerOfTwo(width, minTexture, maxTexture), powerOfTwo(height, minTexture, maxTexture), { fit: 'fill' })
+      .png()
+      .toBuffer(),
+    sharp(png)
+      .resize(thumbnail, thumbnail, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality })
+      .toBuffer(),
+    sharp(png).webp({ quality }).toBuffer(),
+  ]);
+  return { texture, thumbnail: thumb, webp };
+}
+
+/** `3_Ada.png` → `3_Ada_thumb.webp` (for 'thumbnail'), in the same folder. */
+function variantFileName(file, variant) {
+  return file.replace(/\.png$/, '') + VARIANTS[variant];
+}
+
+module.exports = { makeVariants, variantFileName, powerOfTwo, VARIANTS, DEFAULTS };
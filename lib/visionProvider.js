@@ -0,0 +1,137 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+const DEFAULTS = {
+  model: 'claude-sonnet-4-6',
+  maxTokens: 128,
+  timeoutMs: 15000, // one attempt
+  retries: 1,       // extra attempts after the first
+  budgetMs: 20000,  // all attempts together, including backoff
+};
+
+function toNumber(value) {
+  const n = Number(value);
+  return value === undefined || value === '' || Number.isNaN(n) ? undefined : n;
+}
+
+/**
+ * Provider options from environment variables. Unset values are left
+ * undefined so createVisionProvider fills in the defaults.
+ */
+function visionOptionsFromEnv(env = process.env) {
+  return {
+    type: env.VISION_PROVIDER || 'anthropic',
+    model: env.VISION_MODEL || undefined,
+    endpoint: env.VISION_ENDPOINT || undefined,
+    apiKey: env.VISION_API_KEY || env.ANTHROPIC_API_KEY || undefined,
+    timeoutMs: toNumber(env.VISION_TIMEOUT_MS),
+    retries: toNumber(env.VISION_RETRIES),
+    budgetMs: toNumber(env.VISION_BUDGET_MS),
+  };
+}
+
+// Worth another try: network errors, timeouts, rate limits, server errors.
+// A 4xx means the request itself is wrong and will fail the same way again.
+function isRetryable(err) {
+  return err.status === undefined || err.status === 429 || err.status >= 500;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run attempt(signal, timeoutMs) until it succeeds, the retries run out, or
+ * the latency budget is spent. Each attempt is aborted at its own timeout or
+ * at the end of the budget, whichever comes first.
+ */
+async function withRetries(attempt, { timeoutMs, retries, budgetMs }) {
+  const deadline = Date.now() + budgetMs;
+  let lastError = null;
+
+  for (let i = 0; i <= retries; i++) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+
+    const limit = Math.min(timeoutMs, remaining);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), limit);
+    try {
+      return await attempt(controller.signal, limit);
+    } catch (err) {
+      lastError = controller.signal.aborted
+        ? new Error(`timed out after ${limit}ms`)
+        : err;
+      if (!isRetryable(lastError)) break;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // Short backoff, but never past the deadline
+    const backoff = Math.min(250 * (i + 1), deadline - Date.now());
+    if (i < retries && backoff > 0) await sleep(backoff);
+  }
+
+  if (!lastError) lastError = new Error(`latency budget of ${budgetMs}ms spent`);
+  throw lastError;
+}
+
+/**
+ * Anthropic Messages API (or anything speaking it, like mockVisionServer).
+ */
+function createAnthropicProvider(options) {
+  const { model, maxTokens, endpoint, apiKey } = options;
+  const client = new Anthropic({ apiKey, baseURL: endpoint, maxRetries: 0 });
+
+  return {
+    name: 'anthropic',
+    model,
+    async ask({ image, prompt }) {
+      const response = await withRetries((signal, timeout) => client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        messages: [{
+          role: 'user',
+          content: [
+            {
+              type: 'image',
+              source: { type: 'base64', media_type: 'image/png', data: image.toString('base64') },
+            },
+            { type: 'text', text: prompt },
+          ],
+        }],
+      }, { signal, timeout, maxRetries: 0 }), options);
+
+      const block = (response.content || []).find(c => c.type === 'text');
+      if (!block) throw new Error('vision response had no text');
+      return block.text;
+    },
+  };
+}
+
+/**
+ * Build a vision provider from options. Every provider exposes:
+ *   name, model
+ *   ask({ image: Buffer (PNG), prompt: string }) → Promise<string>
+ * ask() rejects once the retries or latency budget run out.
+ *
+ * Returns null when vision is switched off (type 'none') or there is no API
+ * key — callers fall back to local detection.
+ *
+ * @param {{ type?: string, model?: string, endpoint?: string, apiKey?: string,
+ *   timeoutMs?: number, retries?: number, budgetMs?: number }} options
+ */
+function createVisionProvider({ type = 'anthropic', ...rest } = {}) {
+  const options = { ...DEFAULTS };
+  for (const [key, value] of Object.entries(rest)) {
+    if (value !== undefined) options[key] = value;
+  }
+
+  switch (type) {
+    case 'anthropic':
+      return options.apiKey ? createAnthropicProvider(options) : null;
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown vision provider: ${type}`);
+  }
+}
+
+module.exports = { createVisionProvider, visionOptionsFromEnv, DEFAULTS };
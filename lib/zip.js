@@ -0,0 +1,148 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+// Just enough of the ZIP format for downloads: one disk, no ZIP64 (so under
+// 4 GB), UTF-8 names. Entries are deflated unless that doesn't help, as
+// with PNGs and JPEGs.
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS time and date fields, local time, 2-second resolution. */
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+const UTF8_NAMES = 0x0800;
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+/** The local header and central directory header of an entry. */
+function entryHeaders({ name, method, time, date, crc, size, storedSize, offset }) {
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4); // version needed: 2.0
+  local.writeUInt16LE(UTF8_NAMES, 6);
+  local.writeUInt16LE(method, 8);
+  local.writeUInt16LE(time, 10);
+  local.writeUInt16LE(date, 12);
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(storedSize, 18);
+  local.writeUInt32LE(size, 22);
+  local.writeUInt16LE(name.length, 26);
+  local.writeUInt16LE(0, 28); // extra field length
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4); // version made by
+  central.writeUInt16LE(20, 6); // version needed
+  central.writeUInt16LE(UTF8_NAMES, 8);
+  central.writeUInt16LE(method, 10);
+  central.writeUInt16LE(time, 12);
+  central.writeUInt16LE(date, 14);
+  central.writeUInt32LE(crc, 16);
+  central.writeUInt32LE(storedSize, 20);
+  central.writeUInt32LE(size, 24);
+  central.writeUInt16LE(name.length, 28);
+  // extra, comment, disk, internal and external attributes stay 0
+  central.writeUInt32LE(offset, 42);
+  return { local, central };
+}
+
+/** Write to a stream, waiting for it to drain; rejects if it closes first. */
+function write(out, chunk) {
+  if (out.destroyed) return Promise.reject(new Error('The ZIP stream closed early.'));
+  if (out.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const drained = () => {
+      out.off('close', closed);
+      resolve();
+    };
+    const closed = () => {
+      out.off('drain', drained);
+      reject(new Error('The ZIP stream closed early.'));
+    };
+    out.once('drain', drained);
+    out.once('close', closed);
+  });
+}
+
+/**
+ * Write a ZIP archive to a stream an entry at a time. Files are read and
+ * deflated asynchronously, so a big export neither holds up the server nor
+ * sits in memory whole. An entry whose `file` can't be read (gone since it
+ * was listed) is left out. Ends `out`.
+ *
+ * @param {import('stream').Writable} out
+ * @param {{ name: string, data?: Buffer|string, file?: string, date?: Date }[]} entries
+ *   name: path inside the archive, with / between folders; the contents
+ *   are `data`, or else read from the path `file`
+ * @returns {Promise<void>} rejects if `out` closes before the end
+ */
+async function writeZip(out, entries) {
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    let data;
+    if (entry.file) {
+      try {
+        data = await fs.promises.readFile(entry.file);
+      } catch {
+        continue;
+      }
+    } else {
+      data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    }
+    const name = Buffer.from(entry.name, 'utf8');
+    const deflated = await deflateRaw(data);
+    const method = deflated.length < data.length ? 8 : 0;
+    const stored = method === 8 ? deflated : data;
+    const headers = entryHeaders({
+      name,
+      method,
+      ...dosDateTime(entry.date || new Date()),
+      crc: crc32(data),
+      size: data.length,
+      storedSize: stored.length,
+      offset,
+    });
+    await write(out, Buffer.concat([headers.local, name]));
+    await write(out, stored);
+    central.push(headers.central, name);
+    offset += headers.local.length + name.length + stored.length;
+  }
+
+  const centralSize = central.reduce((n, buf) => n + buf.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8); // entries on this disk
+  end.writeUInt16LE(central.length / 2, 10); // entries in total
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  await write(out, Buffer.concat([...central, end]));
+  out.end();
+}
+
+/** The same archive in memory, for small ones. */
+async function createZip(entries) {
+  const chunks = [];
+  await writeZip({ write: chunk => chunks.push(chunk) > 0, end() {} }, entries);
+  return Buffer.concat(chunks);
+}
+
+module.exports = { writeZip, createZip, crc32 };
@@ -0,0 +1,148 @@
+// The wooden dinosaur cutout, shared by the landscape (live-dinos.html) and
+// the upload preview (upload-dinos.html), so the preview is what the
+// screen will show.
+import * as THREE from 'three';
+
+// ===================================================================
+// SVG PATH → THREE.Shape
+// ===================================================================
+// Server traces PNGs with potrace at startup. We fetch the SVG paths.
+
+// Parse an SVG path d-string into a THREE.Shape
+function svgPathToShape(pathStr, svgWidth, svgHeight, targetHeight) {
+  const sc = targetHeight / svgHeight;
+  const shape = new THREE.Shape();
+  const re = /([MLCQZmlcqz])\s*([^MLCQZmlcqz]*)/gi;
+  let match, curX = 0, curY = 0;
+
+  while ((match = re.exec(pathStr)) !== null) {
+    const cmd = match[1];
+    const nums = match[2].trim().length > 0 ? match[2].trim().split(/[\s,]+/).map(Number) : [];
+    switch (cmd) {
+      case 'M': for (let i=0;i<nums.length;i+=2){curX=nums[i];curY=nums[i+1];if(i===0)shape.moveTo(curX*sc,(svgHeight-curY)*sc);else shape.lineTo(curX*sc,(svgHeight-curY)*sc);} break;
+      case 'm': for (let i=0;i<nums.length;i+=2){curX+=nums[i];curY+=nums[i+1];if(i===0)shape.moveTo(curX*sc,(svgHeight-curY)*sc);else shape.lineTo(curX*sc,(svgHeight-curY)*sc);} break;
+      case 'L': for (let i=0;i<nums.length;i+=2){curX=nums[i];curY=nums[i+1];shape.lineTo(curX*sc,(svgHeight-curY)*sc);} break;
+      case 'l': for (let i=0;i<nums.length;i+=2){curX+=nums[i];curY+=nums[i+1];shape.lineTo(curX*sc,(svgHeight-curY)*sc);} break;
+      case 'C': for (let i=0;i<nums.length;i+=6){shape.bezierCurveTo(nums[i]*sc,(svgHeight-nums[i+1])*sc,nums[i+2]*sc,(svgHeight-nums[i+3])*sc,nums[i+4]*sc,(svgHeight-nums[i+5])*sc);curX=nums[i+4];curY=nums[i+5];} break;
+      case 'c': for (let i=0;i<nums.length;i+=6){shape.bezierCurveTo((curX+nums[i])*sc,(svgHeight-(curY+nums[i+1]))*sc,(curX+nums[i+2])*sc,(svgHeight-(curY+nums[i+3]))*sc,(curX+nums[i+4])*sc,(svgHeight-(curY+nums[i+5]))*sc);curX+=nums[i+4];curY+=nums[i+5];} break;
+      case 'Q': for (let i=0;i<nums.length;i+=4){shape.quadraticCurveTo(nums[i]*sc,(svgHeight-nums[i+1])*sc,nums[i+2]*sc,(svgHeight-nums[i+3])*sc);curX=nums[i+2];curY=nums[i+3];} break;
+      case 'q': for (let i=0;i<nums.length;i+=4){shape.quadraticCurveTo((curX+nums[i])*sc,(svgHeight-(curY+nums[i+1]))*sc,(curX+nums[i+2])*sc,(svgHeight-(curY+nums[i+3]))*sc);curX+=nums[i+2];curY+=nums[i+3];} break;
+      case 'Z': case 'z': shape.closePath(); break;
+    }
+  }
+  return shape;
+}
+
+// Fetch traced SVG paths from server, cache shapes
+const shapeCache = new Map();
+let dinoPaths = null;
+async function getSpeciesShape(species) {
+  if (shapeCache.has(species)) return shapeCache.get(species);
+  if (!dinoPaths) {
+    const res = await fetch('/api/dino-paths');
+    dinoPaths = await res.json();
+  }
+  const info = dinoPaths[species] || dinoPaths.trex;
+  const targetHeight = 3.0;
+  const sc = targetHeight / info.height;
+  const shape = svgPathToShape(info.path, info.width, info.height, targetHeight);
+  const result = { shape, imgWidth: info.width * sc, imgHeight: targetHeight };
+  shapeCache.set(species, result);
+  return result;
+}
+
+// ===================================================================
+// UV GENERATOR for ExtrudeGeometry
+// ===================================================================
+function makeUVGenerator(imgWidth, imgHeight) {
+  return {
+    generateTopUV(geometry, vertices, indexA, indexB, indexC) {
+      const ax = vertices[indexA*3], ay = vertices[indexA*3+1];
+      const bx = vertices[indexB*3], by = vertices[indexB*3+1];
+      const cx = vertices[indexC*3], cy = vertices[indexC*3+1];
+      return [
+        new THREE.Vector2(ax/imgWidth, ay/imgHeight),
+        new THREE.Vector2(bx/imgWidth, by/imgHeight),
+        new THREE.Vector2(cx/imgWidth, cy/imgHeight),
+      ];
+    },
+    generateSideWallUV() {
+      return [
+        new THREE.Vector2(0,0), new THREE.Vector2(1,0),
+        new THREE.Vector2(1,1), new THREE.Vector2(0,1),
+      ];
+    }
+  };
+}
+
+// ===================================================================
+// TEXTURE LOADING
+// ===================================================================
+// Contrast boosted so the crayon reads from across the room; resolves null
+// if the image doesn't load
+function loadDinoTexture(url) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const w = img.width, h = img.height;
+      const canvas = document.createElement('canvas');
+      canvas.width = w; canvas.height = h;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      const imgData = ctx.getImageData(0, 0, w, h);
+      const d = imgData.data;
+      for (let i = 0; i < d.length; i += 4) {
+        if (d[i+3] < 10) continue;
+        for (let c = 0; c < 3; c++) {
+          let v = d[i+c] / 255;
+          v = v < 0.5 ? 0.5*Math.pow(2*v,2.8) : 1-0.5*Math.pow(2*(1-v),2.8);
+          d[i+c] = Math.round(v * 255);
+        }
+      }
+      ctx.putImageData(imgData, 0, 0);
+      const tex = new THREE.CanvasTexture(canvas);
+      tex.colorSpace = THREE.SRGBColorSpace;
+      resolve(tex);
+    };
+    img.onerror = () => resolve(null);
+    img.src = url;
+  });
+}
+
+// Every cutout's edge is the same wood
+const woodMat = new THREE.MeshStandardMaterial({
+  color: 0xC4A06A, roughness: 0.85, metalness: 0
+});
+
+/**
+ * A wooden cutout in the shape of the species, with the drawing (a URL or
+ * data URI; plain green if it's missing or won't load) on both faces. It
+ * stands on the origin, centred across and in depth.
+ * @returns {Promise<THREE.Mesh>} materials [drawing, wood]
+ */
+export async function createDinoMesh(texture, species) {
+  const { shape, imgWidth, imgHeight } = await getSpeciesShape(species);
+  const geometry = new THREE.ExtrudeGeometry(shape, {
+    depth: 0.3, bevelEnabled: false,
+    UVGenerator: makeUVGenerator(imgWidth, imgHeight),
+  });
+
+  const tex = texture ? await loadDinoTexture(texture) : null;
+  const frontBackMat = tex
+    ? new THREE.MeshStandardMaterial({ map: tex, roughness: 0.6, metalness: 0, side: THREE.DoubleSide })
+    : new THREE.MeshStandardMaterial({ color: 0x8BAA38, roughness: 0.6 });
+
+  geometry.computeBoundingBox();
+  const bb = geometry.boundingBox;
+  geometry.translate(-(bb.min.x + bb.max.x) / 2, -bb.min.y, -(bb.min.z + bb.max.z) / 2);
+  geometry.computeBoundingBox();
+  return new THREE.Mesh(geometry, [frontBackMat, woodMat]);
+}
+
+/** Free a cutout's geometry and drawing; the wood is shared. */
+export function disposeDinoMesh(mesh) {
+  mesh.geometry.dispose();
+  const [drawing] = mesh.material;
+  if (drawing.map) drawing.map.dispose();
+  drawing.dispose();
+}
@@ -0,0 +1,200 @@
+// The turtle, shared by the aquarium (live-turtles.html) and the upload
+// preview (upload.html), so the preview is what the screen will show.
+import * as THREE from 'three';
+
+// --- Shared geometry & materials ---
+// Shell uses custom UVs: top-down planar projection on upper hemisphere
+// so drawings appear flat/centered on the shell back, not wrapped spherically.
+const shellGeo = new THREE.SphereGeometry(1, 32, 16);
+{
+  const pos = shellGeo.attributes.position;
+  const uv = shellGeo.attributes.uv;
+  // CanvasTexture flipY=true means v=1 → canvas top (drawing), v=0 → canvas bottom (belly).
+  // Texture layout: canvas top half = drawing on white, canvas bottom half = green belly.
+  // So: shell back (y>=0) → v: 0.5–1.0, belly (y<0) → v: 0–0.5.
+  for (let i = 0; i < pos.count; i++) {
+    const x = pos.getX(i);
+    const y = pos.getY(i);
+    const z = pos.getZ(i);
+    if (y >= 0) {
+      // Top hemisphere: planar projection from above into drawing region (v: 0.5–1.0)
+      const u = (x + 1) / 2;
+      const v = 0.5 + (1 - z) / 2 * 0.5; // z=-1 (head) → v=1 (top of drawing), z=1 (tail) → v=0.5
+      uv.setXY(i, u, v);
+    } else {
+      // Bottom hemisphere: green belly region (v: 0–0.5)
+      uv.setXY(i, 0.5, 0.25);
+    }
+  }
+  uv.needsUpdate = true;
+}
+const headGeo = new THREE.SphereGeometry(1, 12, 8);
+const frontFlipGeo = new THREE.SphereGeometry(1, 10, 6);
+const backFlipGeo = new THREE.SphereGeometry(1, 8, 6);
+const tailGeo = new THREE.ConeGeometry(0.06, 0.3, 6);
+const eyeGeo = new THREE.SphereGeometry(0.038, 8, 6);
+const pupilGeo = new THREE.SphereGeometry(0.024, 6, 4);
+
+const skinMat = new THREE.MeshStandardMaterial({ color: 0x5A8A3A, roughness: 0.75, emissive: 0x0a1a05, emissiveIntensity: 0.2 });
+const darkSkinMat = new THREE.MeshStandardMaterial({ color: 0x4A7A2E, roughness: 0.75, emissive: 0x081505, emissiveIntensity: 0.2 });
+const eyeWhiteMat = new THREE.MeshStandardMaterial({ color: 0xffffff });
+const pupilMat = new THREE.MeshStandardMaterial({ color: 0x111111 });
+
+// --- Turtle group factory ---
+// Local space: -Z = forward, +Y = up (shell top). The shell mesh is named
+// shell, the flipper pivots fl_fl, fl_fr, fl_bl and fl_br (for the swim).
+export function createTurtleGroup(shellMaterial) {
+  const group = new THREE.Group();
+
+  // Shell dome
+  const shell = new THREE.Mesh(shellGeo, shellMaterial);
+  shell.name = 'shell';
+  shell.scale.set(1.2, 0.48, 1.4);
+  group.add(shell);
+
+  // Big loggerhead head
+  const head = new THREE.Mesh(headGeo, skinMat);
+  head.scale.set(0.38, 0.30, 0.45);
+  head.position.set(0, 0.04, -1.25);
+  group.add(head);
+
+  // Slightly darker top of head
+  const headTop = new THREE.Mesh(headGeo, darkSkinMat);
+  headTop.scale.set(0.35, 0.22, 0.40);
+  headTop.position.set(0, 0.12, -1.25);
+  group.add(headTop);
+
+  // Eyes (bigger, wider apart for loggerhead)
+  for (const side of [-1, 1]) {
+    const eye = new THREE.Mesh(eyeGeo, eyeWhiteMat);
+    eye.position.set(side * 0.22, 0.10, -1.52);
+    eye.scale.set(1.3, 1.3, 1.3);
+    group.add(eye);
+    const pupil = new THREE.Mesh(pupilGeo, pupilMat);
+    pupil.position.set(side * 0.23, 0.10, -1.56);
+    pupil.scale.set(1.3, 1.3, 1.3);
+    group.add(pupil);
+  }
+
+  // Front flippers (long paddles)
+  const frontFlipData = [
+    { px: -0.7, pz: -0.35, ox: -0.72, flipY: -0.2, name: 'fl_fl' },
+    { px:  0.7, pz: -0.35, ox:  0.72, flipY:  0.2, name: 'fl_fr' },
+  ];
+  for (const f of frontFlipData) {
+    const pivot = new THREE.Group();
+    pivot.position.set(f.px, -0.1, f.pz);
+    pivot.name = f.name;
+    const mesh = new THREE.Mesh(frontFlipGeo, skinMat);
+    mesh.scale.set(1.4, 0.05, 0.38);
+    mesh.position.set(f.ox, 0, -0.1);
+    mesh.rotation.y = f.flipY;
+    pivot.add(mesh);
+    group.add(pivot);
+  }
+
+  // Back flippers (smaller paddles)
+  const backFlipData = [
+    { px: -0.42, pz: 0.8, ox: -0.3, name: 'fl_bl' },
+    { px:  0.42, pz: 0.8, ox:  0.3, name: 'fl_br' },
+  ];
+  for (const f of backFlipData) {
+    const pivot = new THREE.Group();
+    pivot.position.set(f.px, -0.1, f.pz);
+    pivot.name = f.name;
+    const mesh = new THREE.Mesh(backFlipGeo, darkSkinMat);
+    mesh.scale.set(0.55, 0.04, 0.32);
+    mesh.position.set(f.ox, 0, 0);
+    pivot.add(mesh);
+    group.add(pivot);
+  }
+
+  // Tail
+  const tail = new THREE.Mesh(tailGeo, darkSkinMat);
+  tail.position.set(0, -0.04, 1.28);
+  tail.rotation.x = Math.PI / 2;
+  group.add(tail);
+
+  return group;
+}
+
+// --- Texture helpers ---
+// Creates a texture with drawing on white (top half) and green belly (bottom half).
+// The sphere UV maps v=0 at top pole to v=1 at bottom pole, so the
+// top half of the canvas covers the shell back (visible) and the
+// bottom half covers the belly (green).
+function loadShellTexture(url) {
+  return new Promise(resolve => {
+    const img = new Image();
+    img.onload = () => {
+      const w = img.width;
+      const h = img.height;
+      const c = document.createElement('canvas');
+      c.width = w;
+      c.height = h * 2; // top half = drawing, bottom half = belly
+      const ctx = c.getContext('2d');
+
+      // --- Top half: white background + drawing (shell back) ---
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, w, h);
+      ctx.drawImage(img, 0, 0);
+
+      // --- Boost contrast of uploaded drawing for projector visibility ---
+      const imgData = ctx.getImageData(0, 0, w, h);
+      const d = imgData.data;
+      for (let i = 0; i < d.length; i += 4) {
+        // Apply contrast curve: push darks darker, keep lights light
+        for (let ch = 0; ch < 3; ch++) {
+          let v = d[i + ch] / 255;
+          // S-curve contrast boost
+          v = v < 0.5
+            ? 0.5 * Math.pow(2 * v, 2.8)
+            : 1 - 0.5 * Math.pow(2 * (1 - v), 2.8);
+          // Bump saturation: pull away from gray
+          d[i + ch] = Math.max(0, Math.min(255, Math.round(v * 255)));
+        }
+      }
+      ctx.putImageData(imgData, 0, 0);
+
+      // --- Bottom half: green belly ---
+      ctx.fillStyle = '#4A7A2E';
+      ctx.fillRect(0, h, w, h);
+
+      // --- Dividing line ---
+      ctx.strokeStyle = '#2a5a10';
+      ctx.lineWidth = Math.max(4, h / 60);
+      ctx.beginPath();
+      ctx.moveTo(0, h);
+      ctx.lineTo(w, h);
+      ctx.stroke();
+
+      const tex = new THREE.CanvasTexture(c);
+      tex.colorSpace = THREE.SRGBColorSpace;
+      resolve(tex);
+    };
+    img.onerror = () => resolve(null);
+    img.src = url;
+  });
+}
+
+/**
+ * A guest's shell: the drawing (a URL or data URI) on the back, or plain
+ * green if there's none or it won't load.
+ * @returns {Promise<THREE.MeshStandardMaterial>}
+ */
+export async function createShellMaterial(url) {
+  const tex = url ? await loadShellTexture(url) : null;
+  return new THREE.MeshStandardMaterial({
+    map: tex || undefined,
+    color: tex ? 0xffffff : 0xA8D5A2,
+    emissive: tex ? 0x222222 : 0x000000,
+    emissiveIntensity: tex ? 0.3 : 0,
+    roughness: 0.55, side: THREE.DoubleSide,
+  });
+}
+
+/** Free a turtle's shell material and drawing; the rest is shared. */
+export function disposeShellMaterial(material) {
+  if (material.map) material.map.dispose();
+  material.dispose();
+}
@@ -4,33 +4,90 @@ const multer = require('multer');
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const potrace = require('potrace');
 const processImage = require('./lib/processImage');
 const processDinoImage = require('./lib/processDinoImage');
+const { createStore } = require('./lib/storage');
+const { loadConfig } = require('./lib/config');
+const { createEvent, eventMetadata, validateNewEvent, generateEventCode, MODES } = require('./lib/events');
+const { formatFrame } = require('./lib/sseLog');
+const { ACTIONS, actionsFor, checkAction, pickTargets } = require('./lib/actions');
+const { createShow, validateShow } = require('./lib/show');
+const { queryGallery } = require('./lib/gallery');
+const { writeZip } = require('./lib/zip');
+const { recordArchived, loadArchived } = require('./lib/archive');
+const { keepsakeEntries } = require('./lib/keepsake');
+const { prepareOriginal, originalFileName } = require('./lib/originals');
+const { checkOverrides } = require('./lib/overrides');
+const { createJobQueue, isTransient } = require('./lib/jobQueue');
+const { pngFromDataUri, textureUrl, textureCacheControl } = require('./lib/textures');
+const { makeVariants, variantFileName, VARIANTS } = require('./lib/variants');
+const { overflow, rotation } = require('./lib/capacity');
 
 // Ensure drawings folder exists
-const DRAWINGS_DIR = path.join(__dirname, 'drawings');
-if (!fs.existsSync(DRAWINGS_DIR)) fs.mkdirSync(DRAWINGS_DIR);
+const DRAWINGS_DIR = process.env.DRAWINGS_DIR || path.join(__dirname, 'drawings');
+if (!fs.existsSync(DRAWINGS_DIR)) fs.mkdirSync(DRAWINGS_DIR, { recursive: true });
 
 const app = express();
 
-const EVENT_CODE = process.env.EVENT_CODE || '1234';
-const PORT = process.env.PORT || 3000;
-const MAX_TURTLES = 30;
-const MAX_DINOS = 30;
+// Titles, hero names/images, seeds, capacity and event code come from
+// config.json (see config.example.json); PORT and EVENT_CODE env vars win
+let config;
+try {
+  config = loadConfig({ file: process.env.CONFIG_FILE || path.join(__dirname, 'config.json') });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const EVENT_CODE = config.eventCode;
+// Reset, delete and event admin take the host code; guest (event) codes only
+// upload, view and send commands. Unset → a random one, printed at startup.
+const HOST_CODE = config.hostCode || crypto.randomBytes(4).toString('hex');
+const PORT = config.port;
 const rateLimitMap = new Map();
 
+// Heroes are shared by every event
 let heroTurtle = null;
-const turtles = [];
-let nextId = 1;
-
 let heroDino = null;
-const dinos = [];
-let nextDinoId = 1;
 
-const commandQueue = new Map(); // entityId -> { action, timestamp, commandId }
-let nextCommandId = 1;
-const sseClients = new Set();
+// Entity metadata survives restarts; PNGs are re-read from drawings/ on boot
+const STORAGE_TYPE = process.env.STORAGE || 'json';
+const STORAGE_FILE = process.env.STORAGE_FILE || path.join(__dirname, 'data', 'aquarium.json');
+
+// Uploaded photos are the host's, so they're kept next to STORAGE_FILE
+// rather than in the public drawings/ folder, and served only through
+// /api/admin/entities/:id/original
+const ORIGINALS_DIR = path.join(path.dirname(STORAGE_FILE), 'originals');
+
+// Each event (party) has its own entities, command queue and live screens,
+// looked up by its guest code. The config.json event is the default one:
+// it keeps drawings/, originals/ and STORAGE_FILE, and its store also lists
+// the others.
+const defaultEvent = createEvent({
+  code: EVENT_CODE,
+  name: 'Default event',
+  moderation: config.moderation,
+  drawingsDir: DRAWINGS_DIR,
+  originalsDir: ORIGINALS_DIR,
+  store: createStore({ type: STORAGE_TYPE, file: STORAGE_FILE }),
+});
+const events = new Map([[defaultEvent.code, defaultEvent]]); // code -> event
+
+// Extra events keep their PNGs in drawings/<code>/, photos in
+// originals/<code>/ and entities in events/<code>.json next to STORAGE_FILE
+function buildEvent(meta) {
+  return createEvent({
+    ...meta,
+    drawingsDir: path.join(DRAWINGS_DIR, meta.code),
+    originalsDir: path.join(ORIGINALS_DIR, meta.code),
+    store: createStore({
+      type: STORAGE_TYPE,
+      file: path.join(path.dirname(STORAGE_FILE), 'events', `${meta.code}.json`),
+    }),
+  });
+}
 
 // Multer config: memory storage, 5MB limit, images only
 const upload = multer({
@@ -47,7 +104,48 @@ const upload = multer({
 
 // --- Hero Turtle Generation ---
 
+// Heroes belong to no event's drawings folder; their texture and
+// thumbnail are served from memory by /api/hero-images/:file
+const heroImages = new Map(); // file name -> image
+
+/** Make a hero's variants; returns `{ texture, thumbnail }` URLs. */
+async function heroTextures(id, imageData) {
+  const png = pngFromDataUri(imageData);
+  const variants = await makeVariants(png);
+  const urls = {};
+  for (const variant of ['texture', 'thumbnail']) {
+    const file = variantFileName(`${id}.png`, variant);
+    heroImages.set(file, variants[variant]);
+    urls[variant] = textureUrl(`/api/hero-images/${file}`, png);
+  }
+  return urls;
+}
+
 async function generateHeroTurtle() {
+  const { heroName, heroImage } = config.turtles;
+  let imageData;
+  if (heroImage) {
+    imageData = (await processImage(fs.readFileSync(heroImage))).imageData;
+  } else {
+    imageData = await drawHeroTurtle();
+  }
+
+  heroTurtle = {
+    id: 'hero',
+    name: heroName,
+    ...await heroTextures('hero', imageData),
+    depth: 0.5,
+    speed: 30,
+    amplitude: 40,
+    phase: Math.random() * Math.PI * 2,
+    direction: 1,
+    isHero: true,
+    createdAt: Date.now()
+  };
+}
+
+// Built-in hero turtle, used when config.json doesn't name a hero image
+async function drawHeroTurtle() {
   const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="160" viewBox="0 0 200 160">
     <!-- Shell -->
     <ellipse cx="100" cy="80" rx="60" ry="45" fill="#8B9A46"/>
@@ -86,19 +184,7 @@ async function generateHeroTurtle() {
     .png()
     .toBuffer();
 
-  const base64 = pngBuffer.toString('base64');
-  heroTurtle = {
-    id: 'hero',
-    name: "Lily's Turtle",
-    imageData: `data:image/png;base64,${base64}`,
-    depth: 0.5,
-    speed: 30,
-    amplitude: 40,
-    phase: Math.random() * Math.PI * 2,
-    direction: 1,
-    isHero: true,
-    createdAt: Date.now()
-  };
+  return `data:image/png;base64,${pngBuffer.toString('base64')}`;
 }
 
 // --- Dino SVG Path Tracing (potrace) ---
@@ -154,15 +240,16 @@ async function traceAllDinos() {
 // --- Hero Dino Generation ---
 
 async function generateHeroDino() {
-  // Use the actual ari_trex photo as the hero dino texture
-  const photoPath = path.join(__dirname, 'public', 'ari_trex.jpg');
-  const photoBuffer = fs.readFileSync(photoPath);
+  // The hero dino is a real colored page (ari_trex.jpg unless configured)
+  const { heroName, heroImage } = config.dinos;
+  if (!heroImage) return;
+  const photoBuffer = fs.readFileSync(heroImage);
   const result = await processDinoImage(photoBuffer);
 
   heroDino = {
     id: 'hero-dino',
-    name: "Ari's Dinosaur",
-    imageData: result.imageData,
+    name: heroName,
+    ...await heroTextures('hero-dino', result.imageData),
     species: result.species || 'trex',
     depth: 0.5,
     speed: 30,
@@ -174,51 +261,327 @@ async function generateHeroDino() {
   };
 }
 
-// --- Seed Initial Dinos (runs once at startup) ---
+// --- Seed Initial Entities (runs once at startup) ---
 
-async function seedInitialDinos() {
-  const seeds = [
-    { file: 'ari_tric.jpg', name: "Ari's Pat", species: 'triceratops' },
-    { file: 'lily_brach.jpg', name: 'Sese', species: 'brachiosaurus' },
-  ];
-
-  for (const seed of seeds) {
-    const photoPath = path.join(__dirname, 'public', seed.file);
-    if (!fs.existsSync(photoPath)) {
-      console.warn(`Seed image not found: ${seed.file}, skipping`);
+async function seedInitialEntities() {
+  await seedInitialTurtles();
+  await seedInitialDinos();
+  persist(defaultEvent);
+}
+
+async function seedInitialTurtles() {
+  for (const seed of config.turtles.seeds) {
+    const result = await processImage(fs.readFileSync(seed.file));
+
+    const id = String(defaultEvent.nextId++);
+    const turtle = {
+      id,
+      name: seed.name,
+      depth: 0.1 + Math.random() * 0.8,
+      speed: 40 + Math.random() * 60,
+      amplitude: 15 + Math.random() * 35,
+      phase: Math.random() * Math.PI * 2,
+      direction: Math.random() < 0.5 ? -1 : 1,
+      createdAt: Date.now(),
+      file: drawingFileName(id, seed.name),
+    };
+
+    try {
+      Object.assign(turtle, await saveDrawing(defaultEvent, turtle.file, result.imageData));
+    } catch (e) {
+      console.error(`Failed to save seed turtle ${seed.name}:`, e);
       continue;
     }
+    defaultEvent.turtles.push(turtle);
+
+    console.log(`Seeded turtle: ${seed.name}`);
+  }
+}
 
-    const photoBuffer = fs.readFileSync(photoPath);
+async function seedInitialDinos() {
+  for (const seed of config.dinos.seeds) {
+    const photoBuffer = fs.readFileSync(seed.file);
     const result = await processDinoImage(photoBuffer);
 
+    const id = 'd' + String(defaultEvent.nextDinoId++);
     const dino = {
-      id: 'd' + String(nextDinoId++),
+      id,
       name: seed.name,
-      imageData: result.imageData,
-      species: result.species || seed.species,
+      species: result.speciesMethod === 'default' && seed.species ? seed.species : result.species,
       depth: 0.1 + Math.random() * 0.8,
       speed: 40 + Math.random() * 60,
       amplitude: 15 + Math.random() * 35,
       phase: Math.random() * Math.PI * 2,
       direction: Math.random() < 0.5 ? -1 : 1,
-      createdAt: Date.now()
+      createdAt: Date.now(),
+      file: drawingFileName('dino_' + id, seed.name),
     };
 
-    dinos.push(dino);
-
     // Save to drawings dir
     try {
-      const safeName = seed.name.replace(/[^a-zA-Z0-9_-]/g, '_');
-      const filePath = path.join(DRAWINGS_DIR, `dino_${dino.id}_${safeName}.png`);
-      const pngBuffer = Buffer.from(result.imageData.replace(/^data:image\/\w+;base64,/, ''), 'base64');
-      fs.writeFileSync(filePath, pngBuffer);
+      Object.assign(dino, await saveDrawing(defaultEvent, dino.file, result.imageData));
     } catch (e) {
       console.error(`Failed to save seed dino ${seed.name}:`, e);
+      continue;
+    }
+    defaultEvent.dinos.push(dino);
+
+    console.log(`Seeded dino: ${seed.name} (${dino.species})`);
+  }
+}
+
+// --- Persistence ---
+
+function drawingFileName(prefix, name) {
+  const safeName = name.trim().replace(/[^a-zA-Z0-9_-]/g, '_');
+  return `${prefix}_${safeName}.png`;
+}
+
+/**
+ * Write a drawing and its variants (see lib/variants.js) to the event's
+ * folder. Returns the `{ texture, thumbnail }` URLs the entity carries.
+ */
+async function saveDrawing(event, fileName, imageData) {
+  const png = pngFromDataUri(imageData);
+  const variants = await makeVariants(png);
+  fs.mkdirSync(event.drawingsDir, { recursive: true });
+  fs.writeFileSync(path.join(event.drawingsDir, fileName), png);
+  for (const variant of Object.keys(VARIANTS)) {
+    fs.writeFileSync(path.join(event.drawingsDir, variantFileName(fileName, variant)), variants[variant]);
+  }
+  return drawingTextures(event, fileName, png);
+}
+
+/** The texture and thumbnail URLs of a saved drawing, versioned by its hash. */
+function drawingTextures(event, fileName, png) {
+  return {
+    texture: textureUrl(drawingUrl(event, variantFileName(fileName, 'texture')), png),
+    thumbnail: textureUrl(drawingUrl(event, variantFileName(fileName, 'thumbnail')), png),
+  };
+}
+
+/** Every file an entity has in its event's drawings folder. */
+function entityFiles(entity) {
+  if (!entity.file) return [];
+  const variants = Object.keys(VARIANTS).map(variant => variantFileName(entity.file, variant));
+  return [entity.file, ...variants];
+}
+
+/**
+ * Run an uploaded photo through its mode's pipeline, and shrink the photo
+ * for keeping. `original` is null if the photo couldn't be shrunk (the
+ * upload goes ahead without it).
+ */
+async function processUpload(mode, buffer, overrides = {}) {
+  const result = mode === 'dinos'
+    ? await processDinoImage(buffer, overrides)
+    : await processImage(buffer, overrides);
+  let original = null;
+  try {
+    original = await prepareOriginal(buffer);
+  } catch (e) {
+    console.error('Failed to prepare original photo:', e);
+  }
+  return { result, original };
+}
+
+/**
+ * Keep the uploaded photo (from processUpload) in the event's originals
+ * folder, so the drawing can be made again from it. Returns the photo's
+ * file name, or null if there's none or it couldn't be saved.
+ */
+function keepOriginal(event, drawingFile, jpeg) {
+  if (!jpeg) return null;
+  const file = originalFileName(drawingFile);
+  try {
+    fs.mkdirSync(event.originalsDir, { recursive: true });
+    fs.writeFileSync(path.join(event.originalsDir, file), jpeg);
+    return file;
+  } catch (e) {
+    console.error(`Failed to keep original photo ${file}:`, e);
+    return null;
+  }
+}
+
+/**
+ * Photos kept before they had a folder of their own sit next to the
+ * drawings, where anyone could fetch them: move one over.
+ */
+function moveOldOriginal(event, file) {
+  const oldPath = path.join(event.drawingsDir, file);
+  if (!fs.existsSync(oldPath)) return;
+  try {
+    fs.mkdirSync(event.originalsDir, { recursive: true });
+    fs.renameSync(oldPath, path.join(event.originalsDir, file));
+  } catch (e) {
+    console.error(`Failed to move original photo ${file}:`, e);
+  }
+}
+
+function persist(event) {
+  const { turtles, dinos, nextId, nextDinoId } = event;
+  const state = { turtles, dinos, nextId, nextDinoId };
+  if (event === defaultEvent) {
+    state.events = [...events.values()].filter(e => e !== defaultEvent).map(eventMetadata);
+  }
+  try {
+    event.store.save(state);
+  } catch (e) {
+    console.error(`Failed to persist event ${event.code}:`, e);
+  }
+}
+
+/**
+ * Reload an event's saved entities and point them at their textures in its
+ * drawings folder. Entities whose PNG has gone missing are dropped; ones
+ * saved before there were variants get them now.
+ * @returns {Promise<object|null>} the saved state, or null if nothing was
+ *   saved yet
+ */
+async function restoreEntities(event) {
+  const saved = event.store.load();
+  if (!saved) return null;
+
+  const rehydrate = async (meta) => {
+    const filePath = meta.file && path.join(event.drawingsDir, meta.file);
+    if (!filePath || !fs.existsSync(filePath)) {
+      console.warn(`Drawing missing for ${meta.id} (${meta.name}), skipping`);
+      return null;
+    }
+    const png = fs.readFileSync(filePath);
+    if (meta.original) moveOldOriginal(event, meta.original);
+    const missing = Object.keys(VARIANTS)
+      .map(variant => [variant, path.join(event.drawingsDir, variantFileName(meta.file, variant))])
+      .filter(([, variantPath]) => !fs.existsSync(variantPath));
+    if (missing.length > 0) {
+      try {
+        const variants = await makeVariants(png);
+        for (const [variant, variantPath] of missing) fs.writeFileSync(variantPath, variants[variant]);
+      } catch (e) {
+        console.error(`Failed to make variants of ${meta.file}:`, e);
+      }
+    }
+    return { ...meta, ...drawingTextures(event, meta.file, png) };
+  };
+
+  for (const [mode, metas] of [['turtles', saved.turtles], ['dinos', saved.dinos]]) {
+    for (const meta of metas) {
+      const entity = await rehydrate(meta);
+      if (entity) event[mode].push(entity);
+    }
+  }
+  event.nextId = saved.nextId;
+  event.nextDinoId = saved.nextDinoId;
+  for (const mode of MODES) {
+    if (config[mode].policy === 'rotate') makeRoom(event, mode);
+  }
+  console.log(`Restored ${event.turtles.length} turtles and ${event.dinos.length} dinos for event ${event.code}`);
+  return saved;
+}
+
+/**
+ * Rebuild the extra events listed in the default event's saved state.
+ * Archived events come back as metadata only.
+ */
+async function restoreEvents(saved) {
+  for (const meta of saved.events || []) {
+    if (events.has(meta.code)) {
+      console.warn(`Saved event ${meta.code} clashes with the default event code, skipping`);
+      continue;
+    }
+    const event = buildEvent(meta);
+    events.set(event.code, event);
+    if (!event.archived) await restoreEntities(event);
+  }
+}
+
+// --- Moderation ---
+
+// With moderation on, uploads sit in the event's lists as status 'pending':
+// left out of /api/turtles, /api/dinos and commands until the host approves.
+const isLive = entity => entity.status !== 'pending';
+
+// --- Capacity ---
+
+// Each mode holds `capacity` drawings on screen and makes room past that
+// by its `policy` (lib/capacity.js). Pending ones don't take a slot until
+// they're approved; with rotate, `resting` ones wait off screen for their
+// turn. Neither is saved: a restart puts everyone back and rests the
+// overflow again.
+const isOnScreen = entity => isLive(entity) && !entity.resting;
+
+/**
+ * Take drawings off screen until the mode is within capacity, sparing
+ * `keep`. Evicted ones are deleted, their files moved to
+ * <drawingsDir>/archive/evicted/; rested ones stay. Screens are told
+ * either way; the caller persists.
+ */
+function makeRoom(event, mode, keep) {
+  const { capacity, policy } = config[mode];
+  const out = overflow(event[mode].filter(isLive), { capacity, policy, keep });
+  if (out.length === 0) return;
+  if (policy === 'rotate') {
+    for (const entity of out) {
+      entity.resting = true;
+      entity.restedAt = Date.now();
     }
+  } else {
+    for (const entity of out) event[mode].splice(event[mode].indexOf(entity), 1);
+    archiveDrawings(event, out.map(e => ({ ...e, mode })), 'evicted');
+  }
+  event.commandQueue.clear(out.map(e => e.id));
+  announceDeleted(event, out.map(e => e.id));
+}
+
+/** Bring resting drawings back on screen, as newly added. */
+function showAgain(event, mode, entities) {
+  for (const entity of entities) {
+    delete entity.resting;
+    entity.shownAt = Date.now();
+    announce(event, 'add', mode, entity);
+  }
+}
+
+/** One turn of the rotate policy for a mode of an event. */
+function rotate(event, mode) {
+  const { capacity, rotateCount } = config[mode];
+  const { rest, show } = rotation(event[mode].filter(isLive), { capacity, count: rotateCount });
+  for (const entity of rest) {
+    entity.resting = true;
+    entity.restedAt = Date.now();
+  }
+  event.commandQueue.clear(rest.map(e => e.id));
+  announceDeleted(event, rest.map(e => e.id));
+  showAgain(event, mode, show);
+}
+
+for (const mode of MODES) {
+  const { policy, rotateSeconds } = config[mode];
+  if (policy !== 'rotate') continue;
+  setInterval(() => {
+    for (const event of events.values()) {
+      if (!event.archived && event.modes.includes(mode)) rotate(event, mode);
+    }
+  }, rotateSeconds * 1000);
+}
 
-    console.log(`Seeded dino: ${seed.name} (${result.species})`);
+/**
+ * What a live screen shows for a mode: the hero first, then live guests.
+ * `withResting` adds the ones resting off screen (for the admin page).
+ */
+function liveEntities(event, mode, withResting = false) {
+  const hero = mode === 'dinos' ? heroDino : heroTurtle;
+  const live = event[mode].filter(withResting ? isLive : isOnScreen);
+  return hero ? [hero, ...live] : live;
+}
+
+/** The list holding an entity of an event, and its index there. */
+function findEntity(event, id) {
+  for (const list of [event.turtles, event.dinos]) {
+    const index = list.findIndex(e => e.id === id);
+    if (index !== -1) return { list, index };
   }
+  return null;
 }
 
 // --- Rate Limiting ---
@@ -234,6 +597,40 @@ function checkRateLimit(ip) {
   return entry.count <= 20;
 }
 
+/**
+ * The live event for a guest code. Otherwise answers 403, or 429 once the
+ * caller has guessed too often — with several events running, codes are
+ * worth guessing.
+ * @returns {object|null} the event, or null if a response was already sent
+ */
+function eventForCode(req, res, eventCode) {
+  const event = events.get(eventCode);
+  if (event && !event.archived) return event;
+  if (!checkRateLimit(req.ip)) {
+    res.status(429).json({ error: 'Too many attempts. Try again later.' });
+  } else {
+    res.status(403).json({ error: 'Wrong event code.' });
+  }
+  return null;
+}
+
+/**
+ * Check the host code, answering 403 (or 429 after too many guesses) when
+ * it's wrong.
+ * @returns {boolean} true if the caller is the host
+ */
+function isHost(req, res, hostCode) {
+  const given = Buffer.from(typeof hostCode === 'string' ? hostCode : '');
+  const expected = Buffer.from(HOST_CODE);
+  if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return true;
+  if (!checkRateLimit(req.ip)) {
+    res.status(429).json({ error: 'Too many attempts. Try again later.' });
+  } else {
+    res.status(403).json({ error: 'Wrong host code.' });
+  }
+  return false;
+}
+
 // Clean up old rate limit entries every 5 minutes
 setInterval(() => {
   const now = Date.now();
@@ -244,6 +641,11 @@ setInterval(() => {
   }
 }, 5 * 60 * 1000);
 
+// Expire unpolled commands even when no screen is polling
+setInterval(() => {
+  for (const event of events.values()) event.commandQueue.prune();
+}, 10 * 1000);
+
 // --- Routes ---
 
 app.get('/', (req, res) => {
@@ -296,15 +698,11 @@ app.get('/admin', (req, res) => {
 
 app.use(express.json());
 
-// Config endpoint — returns title/heroName for a given mode
+// Config endpoint — returns title/heroName for a given mode, and how often
+// live screens showcase featured drawings
 app.get('/api/config', (req, res) => {
-  const mode = req.query.mode || 'turtles';
-  const configs = {
-    turtles: { title: "Lily's Turtles", heroName: "Lily's Turtle" },
-    dinos:   { title: "Ari's Dinosaurs", heroName: "Ari's Dinosaur" },
-  };
-  const modeConfig = configs[mode] || configs.turtles;
-  res.json({ title: modeConfig.title, heroName: modeConfig.heroName });
+  const modeConfig = req.query.mode === 'dinos' ? config.dinos : config.turtles;
+  res.json({ title: modeConfig.title, heroName: modeConfig.heroName, showcaseSeconds: modeConfig.showcaseSeconds });
 });
 
 // Dino SVG paths (traced outlines for 3D shapes and coloring pages)
@@ -312,133 +710,436 @@ app.get('/api/dino-paths', (req, res) => {
   res.json(dinoSvgPaths);
 });
 
-// Serve saved drawings as static files
-app.use('/drawings', express.static(DRAWINGS_DIR));
+// Serve saved drawings as static files. Entities' `texture` URLs point
+// here with a content hash (see lib/textures.js), so those can be cached.
+// Photos archived before they had a folder of their own are still in
+// here; they're the host's, so they aren't served.
+app.use('/drawings', (req, res, next) => {
+  if (req.path.endsWith('_original.jpg')) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  next();
+});
+app.use('/drawings', express.static(DRAWINGS_DIR, {
+  setHeaders: (res) => res.set('Cache-Control', textureCacheControl(res.req.query)),
+}));
+
+app.get('/api/hero-images/:file', (req, res) => {
+  const image = heroImages.get(req.params.file);
+  if (!image) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  res.set('Cache-Control', textureCacheControl(req.query));
+  res.type(path.extname(req.params.file)).send(image);
+});
 
 // Serve public directory for static assets (PNG outlines, etc.)
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Gallery page — shows all uploaded drawings
+// Gallery page — browses an event's drawings through /api/gallery
 app.get('/gallery', (req, res) => {
-  let files = [];
+  res.sendFile(path.join(__dirname, 'public', 'gallery.html'));
+});
+
+/** Public URL of a file in an event's drawings folder. */
+function drawingUrl(event, file) {
+  const dir = path.relative(DRAWINGS_DIR, event.drawingsDir);
+  return '/drawings/' + [...dir.split(path.sep).filter(Boolean), file].map(encodeURIComponent).join('/');
+}
+
+function galleryItem(event, entity) {
+  const item = {
+    id: entity.id,
+    mode: entity.mode,
+    name: entity.name,
+    createdAt: entity.createdAt,
+    url: drawingUrl(event, entity.file),
+    webpUrl: drawingUrl(event, variantFileName(entity.file, 'webp')),
+    thumbnailUrl: drawingUrl(event, variantFileName(entity.file, 'thumbnail')),
+  };
+  if (entity.mode === 'dinos') item.species = entity.species;
+  return item;
+}
+
+// The default event's gallery is open to anyone, as /gallery always was;
+// other events' take their guest code. Heroes and pending uploads aren't
+// guests' drawings yet, so they're left out.
+app.get('/api/gallery', (req, res) => {
+  const { eventCode, mode, species, page, perPage } = req.query;
+  const event = eventCode === undefined ? defaultEvent : eventForCode(req, res, eventCode);
+  if (!event) return;
+  const result = queryGallery({
+    turtles: event.turtles.filter(isLive),
+    dinos: event.dinos.filter(isLive),
+  }, { mode, species, page, perPage });
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({
+    items: result.entities.map(entity => galleryItem(event, entity)),
+    modes: event.modes,
+    page: result.page,
+    perPage: result.perPage,
+    total: result.total,
+    pages: result.pages,
+  });
+});
+
+// --- Keepsakes ---
+
+/** Where a guest can download their own drawing, photo and manifest. */
+function keepsakeUrl(event, entity) {
+  return `/api/keepsake/${encodeURIComponent(entity.id)}?eventCode=${encodeURIComponent(event.code)}`;
+}
+
+// Streamed an entry at a time, so exporting a whole event doesn't stall
+// the live screens
+async function sendZip(res, fileName, entries) {
+  res.set('Content-Type', 'application/zip');
+  res.attachment(fileName);
   try {
-    files = fs.readdirSync(DRAWINGS_DIR)
-      .filter(f => f.endsWith('.png'))
-      .sort((a, b) => {
-        const idA = parseInt(a.split('_')[0]) || 0;
-        const idB = parseInt(b.split('_')[0]) || 0;
-        return idB - idA; // newest first
-      });
-  } catch {}
-
-  const cards = files.map(f => {
-    const name = f.replace(/^\d+_/, '').replace(/\.png$/, '').replace(/_/g, ' ');
-    return `<div class="card"><img src="/drawings/${f}" alt="${name}"><div class="name">${name}</div></div>`;
-  }).join('\n');
-
-  res.send(`<!DOCTYPE html>
-<html lang="en"><head>
-<meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
-<title>Turtle Drawings</title>
-<link href="https://fonts.googleapis.com/css2?family=Nunito:wght@700;800&display=swap" rel="stylesheet">
-<style>
-  *{box-sizing:border-box;margin:0;padding:0}
-  body{background:#041526;color:white;font-family:'Nunito',sans-serif;padding:24px}
-  h1{text-align:center;font-size:32px;margin-bottom:24px}
-  .count{text-align:center;color:#88b8d0;margin-bottom:24px;font-size:15px}
-  .grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(200px,1fr));gap:20px;max-width:1200px;margin:0 auto}
-  .card{background:rgba(255,255,255,0.08);border-radius:14px;overflow:hidden;text-align:center}
-  .card img{width:100%;aspect-ratio:1;object-fit:contain;background:white;padding:8px}
-  .name{padding:10px;font-weight:700;font-size:15px}
-  .empty{text-align:center;color:#88b8d0;margin-top:60px;font-size:18px}
-  a.back{display:block;text-align:center;color:#14a3c7;margin-bottom:20px;font-size:15px}
-</style>
-</head><body>
-<h1>Turtle Drawings</h1>
-<a class="back" href="/live">Back to aquarium</a>
-<div class="count">${files.length} drawing${files.length !== 1 ? 's' : ''}</div>
-${files.length ? `<div class="grid">${cards}</div>` : '<div class="empty">No drawings yet. Upload some turtles!</div>'}
-</body></html>`);
-});
-
-// SSE endpoint for instant command delivery to live clients
-app.get('/api/events', (req, res) => {
-  const { eventCode } = req.query;
-  if (eventCode !== EVENT_CODE) {
-    return res.status(403).json({ error: 'Wrong event code.' });
+    await writeZip(res, entries);
+  } catch (err) {
+    // The download was cancelled, or the headers are gone and all we can
+    // do is cut it off
+    if (!res.destroyed) {
+      console.error('Failed to send ZIP:', err);
+      res.destroy(err);
+    }
   }
+}
+
+/** An event's archived entities (lib/archive.js), with where their photos went. */
+async function archivedEntities(event) {
+  const archived = await loadArchived(archiveDir(event));
+  return archived.map(e => ({
+    ...e,
+    originalsDir: path.join(originalsArchiveDir(event), path.basename(e.dir)),
+  }));
+}
+
+// Every guest drawing of the event, for the host to keep after the party:
+// the ones on the lists and the ones archived (evicted, or cleared by a
+// reset with archive on)
+app.get('/api/admin/export', async (req, res) => {
+  const { eventCode, hostCode } = req.query;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  const entities = MODES.flatMap(mode => event[mode].filter(isLive).map(e => ({ ...e, mode })));
+  entities.push(...await archivedEntities(event));
+  await sendZip(res, `keepsakes-${event.code}.zip`, await keepsakeEntries(event, entities));
+});
+
+// One guest's drawing; the upload page links here once it's live, and the
+// link keeps working after the drawing is archived
+app.get('/api/keepsake/:id', async (req, res) => {
+  const event = eventForCode(req, res, req.query.eventCode);
+  if (!event) return;
+  const id = req.params.id;
+  const found = findEntity(event, id);
+  const entity = found
+    ? { ...found.list[found.index], mode: found.list === event.dinos ? 'dinos' : 'turtles' }
+    : (await archivedEntities(event)).find(e => e.id === id);
+  if (!entity || !isLive(entity)) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  const safeName = entity.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'drawing';
+  await sendZip(res, `${safeName}-keepsake.zip`, await keepsakeEntries(event, [entity]));
+});
+
+// --- Live updates (SSE) ---
+
+// Entity changes get an id and go in the event's log, so a screen that
+// reconnects can catch up from its Last-Event-ID. Commands (the default
+// `message` event) are momentary and never replayed.
+const LOGGED_EVENTS = new Set(['add', 'update', 'delete', 'reset']);
+
+/**
+ * Send to an event's live screens. `mode` limits it to screens showing
+ * that mode; null sends to all.
+ */
+function broadcast(event, data, type, mode = null) {
+  const frame = LOGGED_EVENTS.has(type)
+    ? event.sseLog.append(type, data, mode)
+    : formatFrame({ type, data });
+  for (const client of event.sseClients) {
+    if (!mode || !client.mode || client.mode === mode) client.res.write(frame);
+  }
+}
+
+/** Announce an entity that went live or changed, image included. */
+function announce(event, type, mode, entity) {
+  broadcast(event, { mode, entity }, type, mode);
+}
+
+function announceDeleted(event, ids) {
+  if (ids.length > 0) broadcast(event, { deleted: ids }, 'delete');
+}
+
+/** Full state for a `reset` frame: `{ turtles?, dinos? }` with images. */
+function snapshot(event, mode = null) {
+  const data = {};
+  for (const m of event.modes) {
+    if (!mode || m === mode) data[m] = liveEntities(event, m);
+  }
+  return data;
+}
+
+// Live screens get entity changes (add, update, delete, reset) and commands
+// here. Pass mode=turtles|dinos to only get that mode's entities.
+app.get('/api/events', (req, res) => {
+  const event = eventForCode(req, res, req.query.eventCode);
+  if (!event) return;
+  const mode = MODES.includes(req.query.mode) ? req.query.mode : null;
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
   });
   res.write('\n');
-  sseClients.add(res);
-  req.on('close', () => sseClients.delete(res));
+
+  // A reconnecting screen gets what it missed; a new one (or one that's
+  // been gone too long) gets everything as a reset
+  const missed = event.sseLog.since(req.get('Last-Event-ID'));
+  if (missed) {
+    for (const entry of missed) {
+      if (!mode || !entry.mode || entry.mode === mode) res.write(entry.frame);
+    }
+  } else {
+    res.write(formatFrame({ id: event.sseLog.lastId(), type: 'reset', data: snapshot(event, mode) }));
+  }
+
+  const client = { res, mode };
+  event.sseClients.add(client);
+  req.on('close', () => event.sseClients.delete(client));
 });
 
 // SSE heartbeat to keep connections alive
 setInterval(() => {
-  for (const client of sseClients) {
-    client.write(': heartbeat\n\n');
+  for (const event of events.values()) {
+    for (const client of event.sseClients) {
+      client.res.write(': heartbeat\n\n');
+    }
   }
 }, 20000);
 
+/** 'turtles' or 'dinos' for a live entity or hero of the event, else null. */
+function liveEntityMode(event, id) {
+  if (heroTurtle && heroTurtle.id === id) return 'turtles';
+  if (heroDino && heroDino.id === id) return 'dinos';
+  const found = findEntity(event, id);
+  if (!found || !isLive(found.list[found.index])) return null;
+  return found.list === event.dinos ? 'dinos' : 'turtles';
+}
+
+// The guest pages build their buttons and cooldowns from this; group=1
+// lists what a group command can do (admin page)
+app.get('/api/actions', (req, res) => {
+  if (!MODES.includes(req.query.mode)) {
+    return res.status(400).json({ error: `Mode must be ${MODES.join(' or ')}.` });
+  }
+  res.json({ actions: actionsFor(req.query.mode, { group: req.query.group === '1' }) });
+});
+
+// Guest pages send a random id kept on the phone (`clientId`) to key
+// cooldowns on: at a party every phone shares the Wi-Fi's one IP, and
+// behind a proxy every request comes from the proxy. Scripts that don't
+// send one fall back to the IP.
+const CLIENT_ID = /^[A-Za-z0-9_-]{8,64}$/;
+
+function commandUser(req) {
+  const { clientId } = req.body;
+  return typeof clientId === 'string' && CLIENT_ID.test(clientId) ? `client:${clientId}` : req.ip;
+}
+
 app.post('/api/turtle/:id/command', (req, res) => {
   const { action, eventCode } = req.body;
-  if (eventCode !== EVENT_CODE) {
-    return res.status(403).json({ error: 'Wrong event code.' });
-  }
-  const validActions = ['come_closer', 'birthday_cake', 'spin', 'party_hat', 'jump'];
-  if (!validActions.includes(action)) {
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  if (!Object.hasOwn(ACTIONS, action)) {
     return res.status(400).json({ error: 'Invalid action.' });
   }
   const id = req.params.id;
-  const exists = turtles.some(t => t.id === id) || (heroTurtle && heroTurtle.id === id)
-    || dinos.some(d => d.id === id) || (heroDino && heroDino.id === id);
-  if (!exists) {
+  const mode = liveEntityMode(event, id);
+  if (!mode) {
     return res.status(404).json({ error: 'Not found.' });
   }
-  const commandId = `cmd_${nextCommandId++}`;
-  commandQueue.set(id, { action, timestamp: Date.now(), commandId });
+  const error = checkAction(action, mode);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const found = findEntity(event, id); // heroes aren't in the lists
+  const entity = found && found.list[found.index];
+  const { durationMs, cooldownMs } = ACTIONS[action];
+  const result = event.commandQueue.enqueue({
+    entityId: id,
+    action,
+    user: commandUser(req),
+    cooldownMs,
+    screens: event.sseClients.size,
+  });
+  if (result.retryAfterMs) {
+    const seconds = Math.ceil(result.retryAfterMs / 1000);
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({ error: `Slow down! Try again in ${seconds}s.`, retryAfter: seconds });
+  }
 
-  // Push to all SSE clients immediately
-  const sseData = JSON.stringify({ turtleId: id, command: action, commandId });
-  for (const client of sseClients) {
-    client.write(`data: ${sseData}\n\n`);
+  if (entity) {
+    // Least-recent keeps the drawings guests play with; a resting one
+    // comes back on screen to do what it was asked
+    entity.lastInteractedAt = Date.now();
+    if (entity.resting) {
+      showAgain(event, mode, [entity]);
+      makeRoom(event, mode, entity);
+    }
   }
 
-  res.json({ success: true });
+  // Push to all SSE clients immediately; screens that poll get it from the queue
+  const commandId = result.command.id;
+  broadcast(event, { turtleId: id, command: action, commandId, durationMs });
+
+  res.json({ success: true, commandId });
 });
 
-app.post('/api/reset', (req, res) => {
-  const { eventCode } = req.body;
-  if (eventCode !== EVENT_CODE) {
-    const ip = req.ip;
-    if (!checkRateLimit(ip)) {
-      return res.status(429).json({ error: 'Too many attempts. Try again later.' });
-    }
-    return res.status(403).json({ error: 'Wrong event code.' });
+/**
+ * Send one action to a group of the event's live entities (see pickTargets).
+ * Each mode's screens get the whole group in one `group` message so they
+ * start it on the same frame; screens that poll get each entity's command
+ * with its slot in the group.
+ * @returns {{ groups: object }|{ status: number, error: string }}
+ *   groups: `{ groupId, count }` per mode
+ */
+function sendGroupCommand(event, action, target, user) {
+  const entities = {};
+  for (const mode of event.modes) entities[mode] = liveEntities(event, mode);
+  const picked = pickTargets(action, target, entities);
+  if (picked.error) return { status: 400, error: picked.error };
+  const modes = Object.keys(picked.targets).filter(mode => picked.targets[mode].length > 0);
+  if (modes.length === 0) return { status: 404, error: 'Nobody to send that to.' };
+
+  // A group per mode: slots are places in that mode's choreography
+  const { durationMs } = ACTIONS[action];
+  const groups = {};
+  for (const mode of modes) {
+    const ids = picked.targets[mode];
+    const group = event.commandQueue.enqueueGroup({
+      entityIds: ids,
+      action,
+      user,
+      screens: event.sseClients.size,
+    });
+    broadcast(event, {
+      command: action,
+      groupId: group.groupId,
+      durationMs,
+      entities: group.commands.map(c => ({ id: c.entityId, commandId: c.id })),
+    }, 'group', mode);
+    groups[mode] = { groupId: group.groupId, count: ids.length };
   }
-  turtles.length = 0;
-  nextId = 1;
-  commandQueue.clear();
-  res.json({ success: true });
+  return { groups };
+}
+
+// Host only: one action for everyone, the heroes, a mode, a dino species or
+// a list of ids, e.g. everybody comes closer for the birthday song
+app.post('/api/group-command', (req, res) => {
+  const { action, eventCode, hostCode, target = 'all' } = req.body;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  const result = sendGroupCommand(event, action, target, req.ip);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json({ success: true, groups: result.groups });
 });
 
-app.post('/api/delete-turtles', (req, res) => {
-  const { eventCode, ids } = req.body;
-  if (eventCode !== EVENT_CODE) {
-    const ip = req.ip;
-    if (!checkRateLimit(ip)) {
-      return res.status(429).json({ error: 'Too many attempts. Try again later.' });
+// Reset-archived drawings go to <drawingsDir>/archive/<time>/ (evicted ones
+// to archive/evicted/), their photos to the same folders under
+// <originalsDir>/archive/, so no event may have the code "archive" (its
+// folders would be those)
+const ARCHIVE_DIR_NAME = 'archive';
+
+const archiveDir = event => path.join(event.drawingsDir, ARCHIVE_DIR_NAME);
+const originalsArchiveDir = event => path.join(event.originalsDir, ARCHIVE_DIR_NAME);
+
+/**
+ * Move entities' drawings and photos into archive folders, new ones unless
+ * `folder` is given; returns the drawings' one. Live ones (each with its
+ * `mode`) are recorded there too, for exports and keepsake links
+ * (lib/archive.js).
+ */
+function archiveDrawings(event, entities, folder = new Date().toISOString().replace(/[:.]/g, '-')) {
+  const dir = path.join(archiveDir(event), folder);
+  const originalsDir = path.join(originalsArchiveDir(event), folder);
+  fs.mkdirSync(dir, { recursive: true });
+  const move = (from, to, file) => {
+    try {
+      fs.renameSync(path.join(from, file), path.join(to, file));
+    } catch (e) {
+      console.error(`Failed to archive ${file}:`, e);
+    }
+  };
+  for (const entity of entities) {
+    for (const file of entityFiles(entity)) move(event.drawingsDir, dir, file);
+    if (entity.original) {
+      fs.mkdirSync(originalsDir, { recursive: true });
+      move(event.originalsDir, originalsDir, entity.original);
     }
-    return res.status(403).json({ error: 'Wrong event code.' });
   }
+  try {
+    recordArchived(dir, entities.filter(isLive));
+  } catch (e) {
+    console.error(`Failed to record archived drawings in ${dir}:`, e);
+  }
+  return dir;
+}
+
+// Clears one mode or all of them. Ids keep counting up, so new drawings
+// never overwrite the files of cleared ones.
+app.post('/api/reset', (req, res) => {
+  const { eventCode, hostCode, mode = 'all', archive = false } = req.body;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  if (mode !== 'all' && !MODES.includes(mode)) {
+    return res.status(400).json({ error: `Mode must be all, ${MODES.join(' or ')}.` });
+  }
+  if (mode !== 'all' && !event.modes.includes(mode)) {
+    return res.status(400).json({ error: `This event doesn't have ${mode}.` });
+  }
+
+  const modes = mode === 'all' ? event.modes : [mode];
+  const cleared = {};
+  const removed = [];
+  const heroIds = [];
+  for (const m of modes) {
+    cleared[m] = event[m].length;
+    removed.push(...event[m].splice(0).map(e => ({ ...e, mode: m })));
+    const hero = m === 'dinos' ? heroDino : heroTurtle;
+    if (hero) heroIds.push(hero.id);
+  }
+  event.commandQueue.clear([...heroIds, ...removed.map(e => e.id)]);
+  persist(event);
+
+  const response = { success: true, cleared };
+  if (archive === true && removed.length > 0) {
+    response.archivedTo = path.relative(__dirname, archiveDrawings(event, removed));
+  }
+  broadcast(event, snapshot(event, mode === 'all' ? null : mode), 'reset', mode === 'all' ? null : mode);
+  res.json(response);
+});
+
+app.post('/api/delete-turtles', (req, res) => {
+  const { eventCode, hostCode, ids } = req.body;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
   if (!Array.isArray(ids) || ids.length === 0) {
     return res.status(400).json({ error: 'No turtle IDs provided.' });
   }
   const toDelete = new Set(ids.map(String).filter(id => id !== 'hero'));
+  const { turtles } = event;
   let deleted = 0;
   for (let i = turtles.length - 1; i >= 0; i--) {
     if (toDelete.has(turtles[i].id)) {
@@ -446,29 +1147,23 @@ app.post('/api/delete-turtles', (req, res) => {
       deleted++;
     }
   }
+  if (deleted > 0) persist(event);
+  event.commandQueue.clear(Array.from(toDelete));
   // Broadcast delete event via SSE
-  if (deleted > 0) {
-    const sseData = JSON.stringify({ deleted: Array.from(toDelete) });
-    for (const client of sseClients) {
-      client.write(`event: delete\ndata: ${sseData}\n\n`);
-    }
-  }
+  if (deleted > 0) announceDeleted(event, Array.from(toDelete));
   res.json({ success: true, deleted });
 });
 
 app.post('/api/delete-dinos', (req, res) => {
-  const { eventCode, ids } = req.body;
-  if (eventCode !== EVENT_CODE) {
-    const ip = req.ip;
-    if (!checkRateLimit(ip)) {
-      return res.status(429).json({ error: 'Too many attempts. Try again later.' });
-    }
-    return res.status(403).json({ error: 'Wrong event code.' });
-  }
+  const { eventCode, hostCode, ids } = req.body;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
   if (!Array.isArray(ids) || ids.length === 0) {
     return res.status(400).json({ error: 'No dino IDs provided.' });
   }
   const toDelete = new Set(ids.map(String).filter(id => id !== 'hero-dino'));
+  const { dinos } = event;
   let deleted = 0;
   for (let i = dinos.length - 1; i >= 0; i--) {
     if (toDelete.has(dinos[i].id)) {
@@ -476,28 +1171,228 @@ app.post('/api/delete-dinos', (req, res) => {
       deleted++;
     }
   }
-  if (deleted > 0) {
-    const sseData = JSON.stringify({ deleted: Array.from(toDelete) });
-    for (const client of sseClients) {
-      client.write(`event: delete\ndata: ${sseData}\n\n`);
+  if (deleted > 0) persist(event);
+  event.commandQueue.clear(Array.from(toDelete));
+  if (deleted > 0) announceDeleted(event, Array.from(toDelete));
+  res.json({ success: true, deleted });
+});
+
+// --- Processing queue ---
+// Photos go through OpenCV, sharp and (for dinos) a vision call, which can
+// take a while. They're processed in the background, a few at a time, so a
+// burst of uploads doesn't tie up the server: the upload endpoints answer
+// 202 with a job id, and the page follows it at /api/jobs/:id.
+
+const processing = createJobQueue({
+  concurrency: parseInt(process.env.PROCESS_CONCURRENCY, 10) || undefined,
+  attempts: parseInt(process.env.PROCESS_ATTEMPTS, 10) || undefined,
+});
+
+const PROCESS_FAILED = 'Failed to process image.';
+
+// An error the guest should see as is, without another attempt
+const jobError = message => Object.assign(new Error(message), { retry: false });
+
+/**
+ * Queue `work({ attempt, progress })` for an event and answer 202 with the
+ * job. Whatever it resolves to is the job's result. Errors are logged, and
+ * the job fails with PROCESS_FAILED, or a jobError's own message. Only
+ * transient errors (see isTransient) get another attempt: the pipelines
+ * fail the same way on the same photo, and on one core a second run is
+ * the slowest kind of wait.
+ */
+function enqueueJob(res, event, work) {
+  const job = processing.add(async (context) => {
+    try {
+      return await work(context);
+    } catch (err) {
+      if (err.retry === false) throw err;
+      console.error(`Processing error (attempt ${context.attempt}):`, err);
+      throw Object.assign(new Error(PROCESS_FAILED), { retry: isTransient(err) });
     }
+  }, { owner: event.code });
+  if (!job) {
+    return res.status(503).json({ error: 'Lots of photos are being processed right now. Try again in a minute.' });
   }
-  res.json({ success: true, deleted });
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    statusUrl: `/api/jobs/${job.id}?eventCode=${encodeURIComponent(event.code)}`,
+  });
+}
+
+// Where a job is at: queued (with `ahead`), running, retrying, done (with
+// `result`, the endpoint's usual response) or failed (with `error`)
+app.get('/api/jobs/:id', (req, res) => {
+  const event = eventForCode(req, res, req.query.eventCode);
+  if (!event) return;
+  const job = processing.get(req.params.id, event.code);
+  if (!job) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  res.json(job);
+});
+
+// --- Upload previews ---
+// Guests see their drawing on a turtle or dino before it goes live, and
+// can retake the photo or switch species first.
+
+const PREVIEW_EXPIRED = 'That preview has expired. Please take the photo again.';
+
+function previewResponse(previewId, mode, result) {
+  const response = { success: true, previewId, imageData: result.imageData };
+  if (mode === 'dinos') response.species = result.species;
+  if (result.hint) {
+    response.hint = result.hint;
+    response.hints = result.hints;
+  }
+  return response;
+}
+
+// Process a photo without adding anything. POST /api/upload with the
+// previewId adds it. Answers with a job (see Processing queue).
+app.post('/api/upload/preview', upload.single('photo'), (req, res) => {
+  const event = eventForCode(req, res, req.body.eventCode);
+  if (!event) return;
+
+  const modeKey = req.body.mode === 'dino' ? 'dinos' : 'turtles';
+  if (!event.modes.includes(modeKey)) {
+    return res.status(400).json({ error: `This event doesn't have ${modeKey}.` });
+  }
+  if (!req.file) {
+    return res.status(400).json({ error: 'Photo is required.' });
+  }
+
+  const photo = req.file.buffer;
+  enqueueJob(res, event, async () => {
+    const { result, original } = await processUpload(modeKey, photo);
+    // Switching species works from the shrunk photo, as reprocessing does
+    const previewId = event.previews.add({ mode: modeKey, photo: original || photo, result, original });
+    return previewResponse(previewId, modeKey, result);
+  });
 });
 
+// Process a previewed dino photo again as another species. JSON
+// { eventCode, species }. Answers with a job.
+app.post('/api/upload/preview/:previewId', (req, res) => {
+  const { eventCode, species } = req.body;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  const { previewId } = req.params;
+  const preview = event.previews.get(previewId);
+  if (!preview) {
+    return res.status(404).json({ error: PREVIEW_EXPIRED });
+  }
+  const invalid = checkOverrides(preview.mode, { species });
+  if (invalid || species === undefined) {
+    return res.status(400).json({ error: invalid || 'Species is required.' });
+  }
+
+  enqueueJob(res, event, async () => {
+    const result = await processDinoImage(preview.photo, { species });
+    // Confirmed or dropped while the photo was being processed
+    if (!event.previews.replace(previewId, { ...preview, result })) {
+      throw jobError(PREVIEW_EXPIRED);
+    }
+    return previewResponse(previewId, preview.mode, result);
+  });
+});
+
+/**
+ * Add a processed upload to the event, save its drawing and photo, and
+ * tell the live screens. Returns the upload's response.
+ */
+async function addUpload(event, mode, name, { result, original }) {
+  if (mode === 'dinos') {
+    // --- Dino upload ---
+
+    const id = 'd' + String(event.nextDinoId++);
+    const dino = {
+      id,
+      name: name.trim(),
+      species: result.species,
+      depth: 0.1 + Math.random() * 0.8,
+      speed: 40 + Math.random() * 60,
+      amplitude: 15 + Math.random() * 35,
+      phase: Math.random() * Math.PI * 2,
+      direction: Math.random() < 0.5 ? -1 : 1,
+      createdAt: Date.now(),
+      file: drawingFileName('dino_' + id, name),
+      crop: cropOf('dinos', result),
+    };
+    if (event.moderation) dino.status = 'pending';
+
+    // Without its drawing on disk the dino has no texture: fail the upload
+    Object.assign(dino, await saveDrawing(event, dino.file, result.imageData));
+    event.dinos.push(dino);
+
+    const kept = keepOriginal(event, dino.file, original);
+    if (kept) dino.original = kept;
+
+    if (isLive(dino)) makeRoom(event, 'dinos', dino);
+    persist(event);
+    if (isLive(dino)) announce(event, 'add', 'dinos', dino);
+
+    const response = { success: true, id: dino.id, name: dino.name, species: result.species };
+    if (result.hint) {
+      response.hint = result.hint;
+      response.hints = result.hints;
+    }
+    if (dino.status === 'pending') response.pending = true;
+    else response.keepsakeUrl = keepsakeUrl(event, dino);
+    return response;
+  }
+
+  // --- Turtle upload (default) ---
+  const id = String(event.nextId++);
+  const turtle = {
+    id,
+    name: name.trim(),
+    depth: 0.1 + Math.random() * 0.8,
+    speed: 40 + Math.random() * 60,
+    amplitude: 15 + Math.random() * 35,
+    phase: Math.random() * Math.PI * 2,
+    direction: Math.random() < 0.5 ? -1 : 1,
+    createdAt: Date.now(),
+    file: drawingFileName(id, name),
+    crop: cropOf('turtles', result),
+  };
+  if (event.moderation) turtle.status = 'pending';
+
+  Object.assign(turtle, await saveDrawing(event, turtle.file, result.imageData));
+  event.turtles.push(turtle);
+
+  const kept = keepOriginal(event, turtle.file, original);
+  if (kept) turtle.original = kept;
+
+  if (isLive(turtle)) makeRoom(event, 'turtles', turtle);
+  persist(event);
+  if (isLive(turtle)) announce(event, 'add', 'turtles', turtle);
+
+  const response = { success: true, id: turtle.id, name: turtle.name };
+  if (result.hint) {
+    response.hint = result.hint;
+    response.hints = result.hints;
+  }
+  if (turtle.status === 'pending') response.pending = true;
+  else response.keepsakeUrl = keepsakeUrl(event, turtle);
+  return response;
+}
+
+// A photo is processed in the background (answers with a job); a preview
+// the guest has looked at is added straight away.
 app.post('/api/upload', upload.single('photo'), async (req, res) => {
   try {
     const { eventCode, name } = req.body;
 
-    if (eventCode !== EVENT_CODE) {
-      const ip = req.ip;
-      if (!checkRateLimit(ip)) {
-        return res.status(429).json({ error: 'Too many attempts. Try again later.' });
-      }
-      return res.status(403).json({ error: 'Wrong event code.' });
-    }
+    const event = eventForCode(req, res, eventCode);
+    if (!event) return;
 
     const mode = req.body.mode || 'turtle';
+    const modeKey = mode === 'dino' ? 'dinos' : 'turtles';
+    if (!event.modes.includes(modeKey)) {
+      return res.status(400).json({ error: `This event doesn't have ${modeKey}.` });
+    }
 
     if (!name || name.trim().length === 0) {
       return res.status(400).json({ error: 'Name is required.' });
@@ -507,121 +1402,63 @@ app.post('/api/upload', upload.single('photo'), async (req, res) => {
       return res.status(400).json({ error: 'Name must be 30 characters or less.' });
     }
 
+    if (req.body.previewId) {
+      const held = event.previews.get(req.body.previewId);
+      if (!held || held.mode !== modeKey) {
+        return res.status(404).json({ error: PREVIEW_EXPIRED });
+      }
+      return res.json(await addUpload(event, modeKey, name, event.previews.take(req.body.previewId)));
+    }
     if (!req.file) {
       return res.status(400).json({ error: 'Photo is required.' });
     }
 
-    if (mode === 'dino') {
-      // --- Dino upload ---
-      const result = await processDinoImage(req.file.buffer);
-
-      const dino = {
-        id: 'd' + String(nextDinoId++),
-        name: name.trim(),
-        imageData: result.imageData,
-        species: result.species,
-        depth: 0.1 + Math.random() * 0.8,
-        speed: 40 + Math.random() * 60,
-        amplitude: 15 + Math.random() * 35,
-        phase: Math.random() * Math.PI * 2,
-        direction: Math.random() < 0.5 ? -1 : 1,
-        createdAt: Date.now()
-      };
-
-      dinos.push(dino);
-
-      // Save drawing to disk
-      try {
-        const base64 = result.imageData.replace(/^data:image\/\w+;base64,/, '');
-        const safeName = name.trim().replace(/[^a-zA-Z0-9_-]/g, '_');
-        const filePath = path.join(DRAWINGS_DIR, `dino_${dino.id}_${safeName}.png`);
-        fs.writeFileSync(filePath, Buffer.from(base64, 'base64'));
-      } catch (e) {
-        console.error('Failed to save dino drawing:', e);
-      }
-
-      // FIFO eviction
-      while (dinos.length > MAX_DINOS) {
-        dinos.shift();
-      }
-
-      const response = { success: true, id: dino.id, name: dino.name, species: result.species };
-      if (result.hint) response.hint = result.hint;
-      res.json(response);
-    } else {
-      // --- Turtle upload (default) ---
-      const result = await processImage(req.file.buffer);
-
-      const turtle = {
-        id: String(nextId++),
-        name: name.trim(),
-        imageData: result.imageData,
-        depth: 0.1 + Math.random() * 0.8,
-        speed: 40 + Math.random() * 60,
-        amplitude: 15 + Math.random() * 35,
-        phase: Math.random() * Math.PI * 2,
-        direction: Math.random() < 0.5 ? -1 : 1,
-        createdAt: Date.now()
-      };
-
-      turtles.push(turtle);
-
-      // Save drawing to disk
+    const photo = req.file.buffer;
+    enqueueJob(res, event, async ({ progress }) => {
+      const processed = await processUpload(modeKey, photo);
+      if (event.archived) throw jobError('This event has ended.');
+      progress('saving');
+      // Not tried again: the drawing may already be in
       try {
-        const base64 = result.imageData.replace(/^data:image\/\w+;base64,/, '');
-        const safeName = name.trim().replace(/[^a-zA-Z0-9_-]/g, '_');
-        const filePath = path.join(DRAWINGS_DIR, `${turtle.id}_${safeName}.png`);
-        fs.writeFileSync(filePath, Buffer.from(base64, 'base64'));
-      } catch (e) {
-        console.error('Failed to save drawing:', e);
-      }
-
-      // FIFO eviction
-      while (turtles.length > MAX_TURTLES) {
-        turtles.shift();
+        return await addUpload(event, modeKey, name, processed);
+      } catch (err) {
+        console.error('Upload error:', err);
+        throw jobError(PROCESS_FAILED);
       }
-
-      const response = { success: true, id: turtle.id, name: turtle.name };
-      if (result.hint) response.hint = result.hint;
-      res.json(response);
-    }
+    });
   } catch (err) {
     console.error('Upload error:', err);
-    res.status(500).json({ error: 'Failed to process image.' });
+    res.status(500).json({ error: PROCESS_FAILED });
   }
 });
 
+const withDuration = c => ({ ...c, durationMs: ACTIONS[c.command].durationMs });
+
+// Entities carry a `texture` URL rather than the image, so screens can
+// poll this cheaply and fetch (and cache) each texture once. Waiting
+// commands go only to live screens (`screen=1`): anyone else reading the
+// list (admin, the remote) would take them from the screens.
 app.get('/api/turtles', (req, res) => {
-  const { eventCode, knownIds } = req.query;
+  const { eventCode } = req.query;
 
-  if (eventCode !== EVENT_CODE) {
-    const ip = req.ip;
-    if (!checkRateLimit(ip)) {
-      return res.status(429).json({ error: 'Too many attempts. Try again later.' });
-    }
-    return res.status(403).json({ error: 'Wrong event code.' });
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  if (!event.modes.includes('turtles')) {
+    return res.status(404).json({ error: "This event doesn't have turtles." });
   }
 
-  const knownSet = new Set(knownIds ? knownIds.split(',') : []);
+  const { commandQueue } = event;
+
+  const allTurtles = liveEntities(event, 'turtles', req.query.resting === '1');
 
-  const allTurtles = heroTurtle ? [heroTurtle, ...turtles] : [...turtles];
+  const screen = req.query.screen === '1';
 
   const result = allTurtles.map(t => {
-    let entry;
-    if (knownSet.has(t.id)) {
-      // Client already has the image, omit imageData
-      const { imageData, ...rest } = t;
-      entry = rest;
-    } else {
-      entry = { ...t };
-    }
-    // Attach pending command (one-shot: deliver then clear)
-    if (commandQueue.has(t.id)) {
-      const cmd = commandQueue.get(t.id);
-      entry.command = cmd.action;
-      entry.commandId = cmd.commandId;
-      commandQueue.delete(t.id);
-    }
+    const entry = { ...t };
+    if (!screen) return entry;
+    // Attach waiting commands, oldest first (one-shot: deliver then clear)
+    const commands = commandQueue.take(t.id);
+    if (commands.length > 0) entry.commands = commands.map(withDuration);
     return entry;
   });
 
@@ -629,40 +1466,412 @@ app.get('/api/turtles', (req, res) => {
 });
 
 app.get('/api/dinos', (req, res) => {
-  const { eventCode, knownIds } = req.query;
+  const { eventCode } = req.query;
 
-  if (eventCode !== EVENT_CODE) {
-    const ip = req.ip;
-    if (!checkRateLimit(ip)) {
-      return res.status(429).json({ error: 'Too many attempts. Try again later.' });
-    }
-    return res.status(403).json({ error: 'Wrong event code.' });
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  if (!event.modes.includes('dinos')) {
+    return res.status(404).json({ error: "This event doesn't have dinos." });
   }
 
-  const knownSet = new Set(knownIds ? knownIds.split(',') : []);
+  const { commandQueue } = event;
 
-  const allDinos = heroDino ? [heroDino, ...dinos] : [...dinos];
+  const allDinos = liveEntities(event, 'dinos', req.query.resting === '1');
+
+  const screen = req.query.screen === '1';
 
   const result = allDinos.map(d => {
-    let entry;
-    if (knownSet.has(d.id)) {
-      const { imageData, ...rest } = d;
-      entry = rest;
-    } else {
-      entry = { ...d };
-    }
-    if (commandQueue.has(d.id)) {
-      const cmd = commandQueue.get(d.id);
-      entry.command = cmd.action;
-      entry.commandId = cmd.commandId;
-      commandQueue.delete(d.id);
-    }
+    const entry = { ...d };
+    if (!screen) return entry;
+    const commands = commandQueue.take(d.id);
+    if (commands.length > 0) entry.commands = commands.map(withDuration);
     return entry;
   });
 
   res.json({ dinos: result });
 });
 
+// Recent commands for the admin page, newest first
+app.get('/api/commands', (req, res) => {
+  const { eventCode, hostCode, entityId } = req.query;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  res.json({ commands: event.commandQueue.history({ entityId, limit }) });
+});
+
+// Lets an uploader's page wait for approval. Rejected (or since deleted)
+// entities are 404.
+app.get('/api/status/:id', (req, res) => {
+  const event = eventForCode(req, res, req.query.eventCode);
+  if (!event) return;
+  const found = findEntity(event, req.params.id);
+  if (!found) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  const entity = found.list[found.index];
+  if (!isLive(entity)) return res.json({ status: 'pending' });
+  res.json({ status: 'approved', keepsakeUrl: keepsakeUrl(event, entity) });
+});
+
+// --- Event admin ---
+
+function eventSummary(event) {
+  const summary = eventMetadata(event);
+  if (!event.archived) {
+    summary.turtles = event.turtles.filter(isLive).length;
+    summary.dinos = event.dinos.filter(isLive).length;
+    summary.pending = event.turtles.length + event.dinos.length - summary.turtles - summary.dinos;
+    summary.liveScreens = event.sseClients.size;
+  }
+  return summary;
+}
+
+app.get('/api/admin/events', (req, res) => {
+  if (!isHost(req, res, req.query.hostCode)) return;
+  res.json({ events: [...events.values()].map(eventSummary) });
+});
+
+app.post('/api/admin/events', (req, res) => {
+  const { hostCode, code, name, modes, moderation } = req.body;
+  if (!isHost(req, res, hostCode)) return;
+
+  // A guest code equal to the host code would hand guests the host's powers
+  const taken = new Set([...events.keys(), HOST_CODE, ARCHIVE_DIR_NAME]);
+  const error = validateNewEvent({ code, name, modes, moderation }, taken);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const event = buildEvent({
+    code: code || generateEventCode(taken),
+    name: name.trim(),
+    modes,
+    moderation,
+  });
+  events.set(event.code, event);
+  persist(event);
+  persist(defaultEvent);
+  res.json({ success: true, event: eventSummary(event) });
+});
+
+// Archived events stop accepting their code; their drawings stay on disk
+app.post('/api/admin/events/:code/archive', (req, res) => {
+  if (!isHost(req, res, req.body.hostCode)) return;
+
+  const event = events.get(req.params.code);
+  if (!event) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  if (event === defaultEvent) {
+    return res.status(400).json({ error: "The default event can't be archived." });
+  }
+  if (!event.archived) {
+    persist(event);
+    event.archived = true;
+    for (const client of event.sseClients) client.res.end();
+    event.sseClients.clear();
+    event.commandQueue.clear();
+    event.turtles.length = 0;
+    event.dinos.length = 0;
+    persist(defaultEvent);
+  }
+  res.json({ success: true, event: eventSummary(event) });
+});
+
+// Uploads waiting for approval, with their images, for admin.html
+app.get('/api/admin/pending', (req, res) => {
+  const { eventCode, hostCode } = req.query;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  res.json({
+    turtles: event.turtles.filter(t => !isLive(t)),
+    dinos: event.dinos.filter(d => !isLive(d)),
+  });
+});
+
+app.post('/api/admin/pending/:id/approve', (req, res) => {
+  const { eventCode, hostCode } = req.body;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  const found = findEntity(event, req.params.id);
+  if (!found || isLive(found.list[found.index])) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  const entity = found.list[found.index];
+  const mode = found.list === event.dinos ? 'dinos' : 'turtles';
+  delete entity.status;
+  makeRoom(event, mode, entity);
+  persist(event);
+  announce(event, 'add', mode, entity);
+  res.json({ success: true });
+});
+
+// Rejected drawings are removed from disk too — they never went on screen
+app.post('/api/admin/pending/:id/reject', (req, res) => {
+  const { eventCode, hostCode } = req.body;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  const found = findEntity(event, req.params.id);
+  if (!found || isLive(found.list[found.index])) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  const [entity] = found.list.splice(found.index, 1);
+  const files = entityFiles(entity).map(file => path.join(event.drawingsDir, file));
+  if (entity.original) files.push(path.join(event.originalsDir, entity.original));
+  for (const file of files) {
+    fs.rm(file, { force: true }, (err) => {
+      if (err) console.error(`Failed to remove rejected drawing ${file}:`, err);
+    });
+  }
+  persist(event);
+  res.json({ success: true });
+});
+
+// --- Pinned and featured ---
+
+// Flags the host sets per drawing: pinned ones are never evicted or rested
+// (see makeRoom), featured ones get brought closer on the live screens
+const ENTITY_FLAGS = ['pinned', 'featured'];
+
+// JSON { eventCode, hostCode, pinned?, featured? }, each true or false
+app.post('/api/admin/entities/:id', (req, res) => {
+  const { eventCode, hostCode } = req.body;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  const found = findEntity(event, req.params.id);
+  if (!found || !isLive(found.list[found.index])) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  const flags = ENTITY_FLAGS.filter(flag => req.body[flag] !== undefined);
+  if (flags.length === 0 || flags.some(flag => typeof req.body[flag] !== 'boolean')) {
+    return res.status(400).json({ error: 'Send pinned or featured as true or false.' });
+  }
+
+  const entity = found.list[found.index];
+  const mode = found.list === event.dinos ? 'dinos' : 'turtles';
+  for (const flag of flags) {
+    if (req.body[flag]) entity[flag] = true;
+    else delete entity[flag];
+  }
+  // A resting drawing that gets pinned comes back at once; screens learn
+  // of the rest through `update`
+  if (entity.pinned && entity.resting) {
+    showAgain(event, mode, [entity]);
+    makeRoom(event, mode, entity);
+  } else if (isOnScreen(entity)) {
+    announce(event, 'update', mode, entity);
+  }
+  persist(event);
+  res.json({ success: true, pinned: Boolean(entity.pinned), featured: Boolean(entity.featured) });
+});
+
+// --- Reprocessing ---
+
+/** Where detection (or the host) framed the drawing, for the admin editor. */
+function cropOf(mode, result) {
+  return mode === 'dinos' ? { rotation: result.rotation, bbox: result.photoBox } : { circle: result.circle };
+}
+
+// What the admin editor opens with: the kept photo and how it was framed
+// (crop is null for drawings from before it was recorded)
+app.get('/api/admin/entities/:id', (req, res) => {
+  const { eventCode, hostCode } = req.query;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  const found = findEntity(event, req.params.id);
+  if (!found) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  const entity = found.list[found.index];
+  if (!entity.original) {
+    return res.status(404).json({ error: 'The original photo of this drawing was not kept.' });
+  }
+  const mode = found.list === event.dinos ? 'dinos' : 'turtles';
+  const item = {
+    id: entity.id,
+    mode,
+    name: entity.name,
+    crop: entity.crop || null,
+    originalUrl: `/api/admin/entities/${encodeURIComponent(entity.id)}/original?eventCode=${encodeURIComponent(event.code)}`,
+  };
+  if (mode === 'dinos') item.species = entity.species;
+  res.json(item);
+});
+
+// The kept photo itself (originalUrl above, plus the host code)
+app.get('/api/admin/entities/:id/original', (req, res) => {
+  const { eventCode, hostCode } = req.query;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  const found = findEntity(event, req.params.id);
+  const entity = found && found.list[found.index];
+  const photoPath = entity && entity.original && path.join(event.originalsDir, entity.original);
+  if (!photoPath || !fs.existsSync(photoPath)) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(photoPath);
+});
+
+/**
+ * Run a kept photo through the pipeline again. Responds with the error and
+ * returns null when it can't; the entity is left as it was either way.
+ */
+async function reprocessPhoto(req, res) {
+  const { eventCode, hostCode, overrides = {} } = req.body;
+  if (!isHost(req, res, hostCode)) return null;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return null;
+  const found = findEntity(event, req.params.id);
+  if (!found) {
+    res.status(404).json({ error: 'Not found.' });
+    return null;
+  }
+  const entity = found.list[found.index];
+  const mode = found.list === event.dinos ? 'dinos' : 'turtles';
+  const invalid = checkOverrides(mode, overrides);
+  if (invalid) {
+    res.status(400).json({ error: invalid });
+    return null;
+  }
+
+  const photoPath = entity.original && path.join(event.originalsDir, entity.original);
+  if (!photoPath || !fs.existsSync(photoPath)) {
+    res.status(404).json({ error: 'The original photo of this drawing was not kept.' });
+    return null;
+  }
+
+  let result;
+  try {
+    const photo = fs.readFileSync(photoPath);
+    result = mode === 'dinos' ? await processDinoImage(photo, overrides) : await processImage(photo, overrides);
+  } catch (err) {
+    console.error('Reprocess error:', err);
+    res.status(500).json({ error: 'Failed to process image.' });
+    return null;
+  }
+  // Deleted or rejected while the photo was being processed
+  if (!found.list.includes(entity)) {
+    res.status(404).json({ error: 'Not found.' });
+    return null;
+  }
+  return { event, entity, mode, result };
+}
+
+function reprocessResponse(mode, result, textures) {
+  const response = { success: true, imageData: result.imageData, crop: cropOf(mode, result), ...textures };
+  if (mode === 'dinos') response.species = result.species;
+  if (result.hint) {
+    response.hint = result.hint;
+    response.hints = result.hints;
+  }
+  return response;
+}
+
+// Try overrides out in the admin editor without touching the drawing.
+// Body as for reprocess below.
+app.post('/api/admin/entities/:id/preview', async (req, res) => {
+  const done = await reprocessPhoto(req, res);
+  if (!done) return;
+  res.json(reprocessResponse(done.mode, done.result));
+});
+
+// Make a drawing again from its kept photo, when detection got it wrong.
+// `overrides` (see lib/overrides.js) go to the pipeline. Live screens swap
+// the texture on the `update` event.
+app.post('/api/admin/entities/:id/reprocess', async (req, res) => {
+  const done = await reprocessPhoto(req, res);
+  if (!done) return;
+  const { event, entity, mode, result } = done;
+
+  try {
+    Object.assign(entity, await saveDrawing(event, entity.file, result.imageData));
+  } catch (e) {
+    console.error('Failed to save reprocessed drawing:', e);
+    return res.status(500).json({ error: 'Failed to save the drawing.' });
+  }
+  entity.crop = cropOf(mode, result);
+  if (mode === 'dinos') entity.species = result.species;
+  persist(event);
+  if (isOnScreen(entity)) announce(event, 'update', mode, entity);
+  res.json(reprocessResponse(mode, result, { texture: entity.texture, thumbnail: entity.thumbnail }));
+});
+
+// --- Show ---
+
+// Steps of a running show go out as group commands from user "show"; a
+// step nobody can do (say, parade with no dinos yet) records its error
+// and the show carries on
+setInterval(() => {
+  for (const event of events.values()) {
+    if (!event.show || event.archived) continue;
+    for (const step of event.show.tick()) {
+      if (step.result.error) console.log(`Show step ${step.index + 1} (${step.action}) for ${event.code}: ${step.result.error}`);
+    }
+  }
+}, 1000);
+
+app.get('/api/admin/show', (req, res) => {
+  const { eventCode, hostCode } = req.query;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  res.json({ show: event.show ? event.show.state() : null });
+});
+
+// Load a timeline, replacing any show the event had (running or not)
+app.post('/api/admin/show', (req, res) => {
+  const { eventCode, hostCode, steps } = req.body;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  const error = validateShow(steps);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  event.show = createShow({
+    steps,
+    dispatch: step => sendGroupCommand(event, step.action, step.target, 'show'),
+  });
+  res.json({ success: true, show: event.show.state() });
+});
+
+const SHOW_CONTROLS = {
+  start: { run: show => show.start(), error: 'The show is already running.' },
+  pause: { run: show => show.pause(), error: 'The show isn\'t running.' },
+  skip: { run: show => show.skip(), error: 'There\'s no step to skip.' },
+};
+
+app.post('/api/admin/show/:control', (req, res) => {
+  const { eventCode, hostCode } = req.body;
+  if (!isHost(req, res, hostCode)) return;
+  const event = eventForCode(req, res, eventCode);
+  if (!event) return;
+  if (!Object.hasOwn(SHOW_CONTROLS, req.params.control)) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  const control = SHOW_CONTROLS[req.params.control];
+  if (!event.show) {
+    return res.status(404).json({ error: 'No show loaded.' });
+  }
+  if (!control.run(event.show)) {
+    return res.status(400).json({ error: control.error });
+  }
+  // Start sends anything due right away rather than on the next tick
+  event.show.tick();
+  res.json({ success: true, show: event.show.state() });
+});
+
+// --- Errors ---
+
 // Error handler for multer file size errors
 app.use((err, req, res, next) => {
   if (err.code === 'LIMIT_FILE_SIZE') {
@@ -678,10 +1887,18 @@ app.use((err, req, res, next) => {
 // --- Start ---
 
 Promise.all([generateHeroTurtle(), generateHeroDino(), traceAllDinos()]).then(async () => {
-  await seedInitialDinos();
+  // Seed only on a fresh start — otherwise seeds would duplicate on every restart
+  const saved = await restoreEntities(defaultEvent);
+  if (saved) await restoreEvents(saved);
+  else await seedInitialEntities();
   app.listen(PORT, process.env.HOST || '0.0.0.0', () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Event code: ${EVENT_CODE}`);
+    if (!config.hostCode) {
+      console.log(`Host code: ${HOST_CODE} (random — set HOST_CODE or hostCode in config.json to keep one)`);
+    }
+    const others = [...events.values()].filter(e => e !== defaultEvent && !e.archived);
+    for (const e of others) console.log(`Event code: ${e.code} (${e.name})`);
   });
 }).catch(err => {
   console.error('Failed to generate heroes:', err);
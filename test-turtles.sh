@@ -2,9 +2,39 @@
 # Upload sample turtles to a running server
 # Usage: ./test-turtles.sh [count]  (default: 5)
 
-URL="http://localhost:3000/api/upload"
+BASE="http://localhost:3000"
 CODE="1234"
 COUNT="${1:-5}"
+FAILED=0
+
+# Print a field of a JSON object read from stdin ('' when missing)
+json_field() {
+  python3 -c "import sys,json; d=json.load(sys.stdin); v=d.get('$1', ''); print(json.dumps(v) if isinstance(v, dict) else v)" 2>/dev/null
+}
+
+# Follow an upload's job until it's done or failed (60s at most); prints
+# the outcome and returns non-zero unless the turtle went in
+wait_for_job() {
+  local status_url="$1" job status
+  for _ in $(seq 1 60); do
+    job=$(curl -s "$BASE$status_url")
+    status=$(echo "$job" | json_field status)
+    case "$status" in
+      done)
+        echo "ok (id $(echo "$job" | json_field result | json_field id))"
+        return 0 ;;
+      failed)
+        echo "FAIL: $(echo "$job" | json_field error)"
+        return 1 ;;
+      queued|running|retrying) sleep 1 ;;
+      *)
+        echo "FAIL: $job"
+        return 1 ;;
+    esac
+  done
+  echo "FAIL: still $status after 60s"
+  return 1
+}
 
 # Each entry: name|svg_body
 # Drawings are outlines/strokes on a white background, like kid sketches
@@ -116,13 +146,24 @@ for i in $(seq 0 $(($COUNT - 1))); do
   echo "$svg" > "$tmp"
 
   echo -n "Uploading $name... "
-  curl -s -X POST "$URL" \
+  # The upload answers 202 with a job; the turtle is only in once it's done
+  response=$(curl -s -X POST "$BASE/api/upload" \
     -F "eventCode=$CODE" \
     -F "name=$name" \
-    -F "photo=@$tmp;type=image/svg+xml" \
-    | python3 -c "import sys,json; d=json.load(sys.stdin); print(d.get('success','FAIL'))" 2>/dev/null || echo "FAIL"
+    -F "photo=@$tmp;type=image/svg+xml")
+  status_url=$(echo "$response" | json_field statusUrl)
+  if [ -z "$status_url" ]; then
+    echo "FAIL: ${response:-no response}"
+    FAILED=$((FAILED + 1))
+  elif ! wait_for_job "$status_url"; then
+    FAILED=$((FAILED + 1))
+  fi
 
   rm "$tmp"
 done
 
+if [ "$FAILED" -gt 0 ]; then
+  echo "Done, $FAILED of $COUNT failed."
+  exit 1
+fi
 echo "Done!"
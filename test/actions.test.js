@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ACTIONS, actionsFor, checkAction, pickTargets } = require('../lib/actions');
+
+describe('actions — registry', () => {
+  it('declares modes, duration and cooldown for every action', () => {
+    for (const [name, action] of Object.entries(ACTIONS)) {
+      assert.ok(action.label, `${name} label`);
+      assert.ok(action.modes.length > 0, `${name} modes`);
+      assert.ok(action.durationMs > 0, `${name} duration`);
+      // Group-only actions come from the host, who has no cooldown
+      if (!action.groupOnly) assert.ok(action.cooldownMs > 0, `${name} cooldown`);
+    }
+  });
+
+  it('lists each mode its own actions, in button order', () => {
+    assert.deepStrictEqual(actionsFor('turtles').map(a => a.name),
+      ['come_closer', 'birthday_cake', 'party_hat', 'spin', 'jump']);
+    assert.deepStrictEqual(actionsFor('dinos').map(a => a.name),
+      ['come_closer', 'party_hat', 'spin', 'jump']);
+    assert.deepStrictEqual(Object.keys(actionsFor('dinos')[0]), ['name', 'label', 'durationMs', 'cooldownMs']);
+    assert.deepStrictEqual(actionsFor('dinos', { group: true }).map(a => a.name),
+      ['come_closer', 'party_hat', 'spin', 'jump', 'parade', 'confetti']);
+  });
+
+  it('rejects unknown actions and ones the mode does not support', () => {
+    assert.strictEqual(checkAction('jump', 'turtles'), null);
+    assert.strictEqual(checkAction('fly', 'turtles'), 'Invalid action.');
+    assert.strictEqual(checkAction('toString', 'turtles'), 'Invalid action.');
+    assert.strictEqual(checkAction('birthday_cake', 'dinos'), "Dinosaurs can't do birthday cake.");
+    assert.strictEqual(checkAction('circle', 'turtles'), 'Form a Circle is a group command.');
+    assert.strictEqual(checkAction('circle', 'turtles', { group: true }), null);
+  });
+});
+
+describe('actions — group targets', () => {
+  const entities = {
+    turtles: [{ id: 'hero-turtle', isHero: true }, { id: '1' }],
+    dinos: [{ id: 'hero-dino', species: 'trex', isHero: true }, { id: 'd1', species: 'triceratops' }, { id: 'd2', species: 'trex' }],
+  };
+
+  it('targets everyone, a mode, a species or a list of ids', () => {
+    assert.deepStrictEqual(pickTargets('spin', 'all', entities).targets,
+      { turtles: ['hero-turtle', '1'], dinos: ['hero-dino', 'd1', 'd2'] });
+    assert.deepStrictEqual(pickTargets('spin', 'turtles', entities).targets, { turtles: ['hero-turtle', '1'] });
+    assert.deepStrictEqual(pickTargets('spin', 'trex', entities).targets, { dinos: ['hero-dino', 'd2'] });
+    assert.deepStrictEqual(pickTargets('spin', 'hero', entities).targets, { turtles: ['hero-turtle'], dinos: ['hero-dino'] });
+    assert.deepStrictEqual(pickTargets('jump', ['d2', '1', 'gone'], entities).targets,
+      { turtles: ['1'], dinos: ['d2'] });
+  });
+
+  it('leaves out modes that cannot do the action unless only they were asked', () => {
+    assert.deepStrictEqual(pickTargets('birthday_cake', 'all', entities).targets, { turtles: ['hero-turtle', '1'] });
+    assert.deepStrictEqual(pickTargets('parade', 'all', entities).targets, { dinos: ['hero-dino', 'd1', 'd2'] });
+    assert.deepStrictEqual(pickTargets('birthday_cake', 'dinos', entities), { error: "Dinosaurs can't do birthday cake." });
+    assert.deepStrictEqual(pickTargets('circle', 'trex', entities), { error: "Dinosaurs can't do circle." });
+  });
+
+  it('rejects unknown targets and targets outside the event', () => {
+    assert.deepStrictEqual(pickTargets('spin', 'everyone', entities), { error: 'Invalid target.' });
+    assert.deepStrictEqual(pickTargets('spin', [1, 2], entities), { error: 'Invalid target.' });
+    assert.deepStrictEqual(pickTargets('spin', 'dinos', { turtles: [] }), { error: 'Invalid target.' });
+    assert.deepStrictEqual(pickTargets('fly', 'all', entities), { error: 'Invalid action.' });
+  });
+});
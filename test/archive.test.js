@@ -0,0 +1,44 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { recordArchived, loadArchived } = require('../lib/archive');
+
+describe('archive', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('finds archived drawings again, oldest first, with where their files are', async () => {
+    const evicted = path.join(root, 'evicted');
+    const reset = path.join(root, '2026-06-01T15-00-00-000Z');
+    fs.mkdirSync(evicted);
+    fs.mkdirSync(reset);
+    recordArchived(evicted, [{ id: '1', mode: 'turtles', name: 'Ada', createdAt: 3, file: '1_Ada.png', resting: true }]);
+    recordArchived(evicted, [{ id: 'd2', mode: 'dinos', name: 'Rex', species: 'trex', createdAt: 1, file: 'dino_d2_Rex.png' }]);
+    recordArchived(reset, [{ id: '3', mode: 'turtles', name: 'Bo', createdAt: 2, file: '3_Bo.png' }]);
+
+    const archived = await loadArchived(root);
+    assert.deepStrictEqual(archived.map(e => [e.id, e.mode, e.dir]), [
+      ['d2', 'dinos', evicted],
+      ['3', 'turtles', reset],
+      ['1', 'turtles', evicted],
+    ]);
+    assert.strictEqual(archived[0].species, 'trex');
+    assert.strictEqual(archived[2].resting, undefined, 'only saved metadata is kept');
+  });
+
+  it('skips folders archived before manifests were kept', async () => {
+    fs.mkdirSync(path.join(root, 'old'));
+    fs.writeFileSync(path.join(root, 'old', '1_Ada.png'), 'png');
+    assert.deepStrictEqual(await loadArchived(root), []);
+    assert.deepStrictEqual(await loadArchived(path.join(root, 'missing')), []);
+  });
+});
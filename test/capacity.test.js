@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { overflow, rotation } = require('../lib/capacity');
+
+// Entities uploaded a second apart, oldest first
+function entities(count, extra = {}) {
+  return Array.from({ length: count }, (_, i) => ({ id: String(i + 1), createdAt: 1000 * (i + 1), ...extra }));
+}
+const ids = list => list.map(e => e.id);
+
+describe('capacity — overflow', () => {
+  it('takes nothing while there is room', () => {
+    assert.deepStrictEqual(overflow(entities(3), { capacity: 3, policy: 'fifo' }), []);
+  });
+
+  it('fifo: the oldest uploads go first', () => {
+    const list = entities(5);
+    assert.deepStrictEqual(ids(overflow(list, { capacity: 3, policy: 'fifo' })), ['1', '2']);
+  });
+
+  it('least-recent: the ones nobody has played with for longest go first', () => {
+    const list = entities(4);
+    list[0].lastInteractedAt = 9000; // the oldest, but someone just sent it a command
+    list[2].lastInteractedAt = 5000;
+    assert.deepStrictEqual(ids(overflow(list, { capacity: 2, policy: 'least-recent' })), ['2', '4']);
+  });
+
+  it('rotate: the ones shown longest go first', () => {
+    const list = entities(3);
+    list[0].shownAt = 8000; // came back from resting lately
+    assert.deepStrictEqual(ids(overflow(list, { capacity: 2, policy: 'rotate' })), ['2']);
+  });
+
+  it('never picks pinned drawings or the one making room', () => {
+    const list = entities(4);
+    list[0].pinned = true;
+    list[1].pinned = true;
+    const upload = list[3];
+    assert.deepStrictEqual(ids(overflow(list, { capacity: 2, policy: 'fifo', keep: upload })), ['3']);
+    assert.deepStrictEqual(overflow(list, { capacity: 1, policy: 'fifo', keep: list[2] }), [list[3]]);
+    assert.deepStrictEqual(overflow(list.slice(0, 2), { capacity: 1, policy: 'fifo' }), [], 'over capacity with only pinned ones');
+  });
+
+  it('does not count resting drawings against capacity', () => {
+    const list = entities(4);
+    list[0].resting = true;
+    list[1].resting = true;
+    assert.deepStrictEqual(overflow(list, { capacity: 2, policy: 'rotate' }), []);
+  });
+});
+
+describe('capacity — rotation', () => {
+  it('swaps the drawings shown longest for the ones resting longest', () => {
+    const list = entities(6);
+    Object.assign(list[0], { resting: true, restedAt: 5000 });
+    Object.assign(list[1], { resting: true, restedAt: 3000 });
+    Object.assign(list[2], { resting: true, restedAt: 4000 });
+    const { rest, show } = rotation(list, { capacity: 3, count: 2 });
+    assert.deepStrictEqual(ids(rest), ['4', '5']);
+    assert.deepStrictEqual(ids(show), ['2', '3']);
+  });
+
+  it('fills free slots and leaves pinned drawings on screen', () => {
+    const list = entities(4);
+    list[0].pinned = true;
+    Object.assign(list[3], { resting: true, restedAt: 5000 });
+    // Three on screen, room for four: the resting one just comes back
+    assert.deepStrictEqual(rotation(list, { capacity: 4, count: 2 }), { rest: [], show: [list[3]] });
+    // Full: it swaps with the unpinned one shown longest
+    const { rest, show } = rotation(list, { capacity: 3, count: 2 });
+    assert.deepStrictEqual(ids(rest), ['2']);
+    assert.deepStrictEqual(ids(show), ['4']);
+  });
+
+  it('does nothing when nobody is resting', () => {
+    assert.deepStrictEqual(rotation(entities(3), { capacity: 3, count: 3 }), { rest: [], show: [] });
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createCommandQueue } = require('../lib/commandQueue');
+
+let clock;
+let queue;
+beforeEach(() => {
+  clock = 1000;
+  queue = createCommandQueue({ ttlMs: 5000, maxPerEntity: 3, historyLimit: 5, now: () => clock });
+});
+
+describe('commandQueue — delivery', () => {
+  it('keeps every command for an entity, in order, until a poll takes them', () => {
+    queue.enqueue({ entityId: '1', action: 'spin', user: 'a' });
+    queue.enqueue({ entityId: '1', action: 'jump', user: 'b' });
+    queue.enqueue({ entityId: '2', action: 'spin', user: 'a' });
+
+    const taken = queue.take('1');
+    assert.deepStrictEqual(taken.map(c => c.command), ['spin', 'jump']);
+    assert.notStrictEqual(taken[0].commandId, taken[1].commandId);
+    assert.deepStrictEqual(queue.take('1'), []);
+    assert.strictEqual(queue.size, 1);
+  });
+
+  it('expires commands nobody polled for within the TTL', () => {
+    queue.enqueue({ entityId: '1', action: 'spin', user: 'a' });
+    clock += 4000;
+    queue.enqueue({ entityId: '1', action: 'jump', user: 'b' });
+    clock += 2000;
+
+    assert.deepStrictEqual(queue.take('1').map(c => c.command), ['jump']);
+    assert.deepStrictEqual(queue.history().map(c => c.status), ['delivered', 'expired']);
+  });
+
+  it('drops the oldest when an entity has too many waiting', () => {
+    for (const user of ['a', 'b', 'c', 'd']) queue.enqueue({ entityId: '1', action: 'spin', user });
+    assert.strictEqual(queue.take('1').length, 3);
+    assert.strictEqual(queue.history().at(-1).status, 'dropped');
+  });
+
+  it('gives each entity of a group command its slot, without cooldowns', () => {
+    queue.enqueue({ entityId: '2', action: 'spin', user: 'host', cooldownMs: 8000 });
+    const { groupId, commands } = queue.enqueueGroup({ entityIds: ['1', '2'], action: 'circle', user: 'host' });
+
+    assert.match(groupId, /^grp_/);
+    assert.strictEqual(commands.length, 2);
+    assert.deepStrictEqual(queue.take('2').map(c => c.group), [undefined, { id: groupId, slot: 1, count: 2 }]);
+    assert.strictEqual(queue.history()[0].group.slot, 1);
+  });
+
+  it('clears waiting commands for some entities or all of them', () => {
+    queue.enqueue({ entityId: '1', action: 'spin', user: 'a' });
+    queue.enqueue({ entityId: '2', action: 'spin', user: 'a' });
+    queue.clear(['1', 'nope']);
+    assert.deepStrictEqual(queue.take('1'), []);
+    assert.strictEqual(queue.size, 1);
+    queue.clear();
+    assert.strictEqual(queue.size, 0);
+  });
+});
+
+describe('commandQueue — cooldowns and history', () => {
+  it('makes a user wait out the cooldown per entity', () => {
+    assert.ok(queue.enqueue({ entityId: '1', action: 'come_closer', user: 'a', cooldownMs: 8000 }).command);
+
+    clock += 3000;
+    assert.deepStrictEqual(queue.enqueue({ entityId: '1', action: 'spin', user: 'a' }), { retryAfterMs: 5000 });
+    assert.ok(queue.enqueue({ entityId: '1', action: 'spin', user: 'b' }).command, 'other users are not held up');
+    assert.ok(queue.enqueue({ entityId: '2', action: 'spin', user: 'a' }).command, 'nor other entities');
+
+    clock += 5000;
+    assert.ok(queue.enqueue({ entityId: '1', action: 'spin', user: 'a' }).command);
+  });
+
+  it('lists recent commands newest first, filtered and bounded', () => {
+    queue.enqueue({ entityId: '1', action: 'spin', user: 'a', screens: 2 });
+    queue.enqueue({ entityId: '2', action: 'jump', user: 'a' });
+    for (let i = 0; i < 5; i++) queue.enqueue({ entityId: '3', action: 'spin', user: `u${i}` });
+
+    const all = queue.history();
+    assert.strictEqual(all.length, 5);
+    assert.ok(all.every(c => c.entityId === '3'));
+
+    queue.clear();
+    for (let i = 0; i < 2; i++) queue.enqueue({ entityId: '1', action: 'spin', user: `v${i}`, screens: 1 });
+    const mine = queue.history({ entityId: '1', limit: 1 });
+    assert.strictEqual(mine.length, 1);
+    assert.strictEqual(mine[0].user, 'v1');
+    assert.strictEqual(mine[0].status, 'pushed');
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadConfig, validateConfig, DEFAULTS } = require('../lib/config');
+
+let tmpDir;
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  fs.writeFileSync(path.join(tmpDir, 'hero.png'), 'png');
+  fs.writeFileSync(path.join(tmpDir, 'seed.jpg'), 'jpg');
+});
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeConfig(contents, name = 'config.json') {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+}
+
+describe('config — loading', () => {
+  it('uses the defaults when there is no config file', () => {
+    const config = loadConfig({ file: path.join(tmpDir, 'missing.json'), env: {} });
+    assert.strictEqual(config.port, DEFAULTS.port);
+    assert.strictEqual(config.eventCode, DEFAULTS.eventCode);
+    assert.strictEqual(config.dinos.title, "Ari's Dinosaurs");
+    assert.strictEqual(config.dinos.seeds.length, 2);
+    assert.ok(fs.existsSync(config.dinos.heroImage));
+  });
+
+  it('merges each mode with its defaults', () => {
+    const file = writeConfig({ eventCode: '0420', turtles: { title: "Sam's Turtles", capacity: 12 } });
+    const config = loadConfig({ file, env: {} });
+
+    assert.strictEqual(config.eventCode, '0420');
+    assert.strictEqual(config.turtles.title, "Sam's Turtles");
+    assert.strictEqual(config.turtles.capacity, 12);
+    assert.strictEqual(config.turtles.heroName, "Lily's Turtle");
+    assert.strictEqual(config.dinos.capacity, 30);
+  });
+
+  it('resolves image paths relative to the config file', () => {
+    const file = writeConfig({
+      dinos: { heroImage: 'hero.png', seeds: [{ file: 'seed.jpg', name: ' Rex ' }] },
+    });
+    const config = loadConfig({ file, env: {} });
+
+    assert.strictEqual(config.dinos.heroImage, path.join(tmpDir, 'hero.png'));
+    assert.deepStrictEqual(config.dinos.seeds, [{ file: path.join(tmpDir, 'seed.jpg'), name: 'Rex' }]);
+  });
+
+  it('lets PORT, EVENT_CODE and HOST_CODE override the file', () => {
+    const file = writeConfig({ port: 4000, eventCode: '1111', hostCode: 'secret' });
+    const config = loadConfig({ file, env: { PORT: '5000', EVENT_CODE: '2222', HOST_CODE: 'other' } });
+    assert.strictEqual(config.port, 5000);
+    assert.strictEqual(config.eventCode, '2222');
+    assert.strictEqual(config.hostCode, 'other');
+  });
+
+  it('leaves the host code unset and moderation off unless configured', () => {
+    const config = loadConfig({ file: writeConfig({}), env: {} });
+    assert.strictEqual(config.hostCode, null);
+    assert.strictEqual(config.moderation, false);
+    assert.strictEqual(loadConfig({ file: writeConfig({ moderation: true }), env: {} }).moderation, true);
+  });
+});
+
+describe('config — failing fast', () => {
+  it('rejects malformed JSON', () => {
+    const file = writeConfig('{ "port": 3000,', 'broken.json');
+    assert.throws(() => loadConfig({ file, env: {} }), /Invalid config .*broken\.json/);
+  });
+
+  it('lists every problem at once', () => {
+    const errors = validateConfig({
+      port: 'eighty',
+      eventCode: 1234,
+      moderation: 'on',
+      colour: 'blue',
+      dinos: { capacity: 0, seeds: [{ file: 'a.jpg', species: 'stegosaurus' }] },
+    });
+    assert.deepStrictEqual(errors, [
+      'colour is not a known setting',
+      'port must be an integer between 1 and 65535',
+      'eventCode must be a non-empty string',
+      'moderation must be true or false',
+      'dinos.capacity must be a positive integer',
+      'dinos.seeds[0].name is required',
+      'dinos.seeds[0].species must be one of trex, triceratops, brachiosaurus',
+    ]);
+  });
+
+  it('checks the capacity policy', () => {
+    assert.deepStrictEqual(validateConfig({ turtles: { policy: 'rotate', rotateSeconds: 30, rotateCount: 2 } }), []);
+    const errors = validateConfig({ dinos: { policy: 'random', rotateSeconds: 1, rotateCount: 1.5 } });
+    assert.deepStrictEqual(errors, [
+      'dinos.policy must be one of fifo, least-recent, rotate',
+      'dinos.rotateSeconds must be a number of seconds, at least 5',
+      'dinos.rotateCount must be a positive integer',
+    ]);
+  });
+
+  it('checks how often featured drawings are showcased', () => {
+    assert.deepStrictEqual(validateConfig({ turtles: { showcaseSeconds: 30 } }), []);
+    assert.deepStrictEqual(validateConfig({ turtles: { showcaseSeconds: 2 } }), [
+      'turtles.showcaseSeconds must be a number of seconds, at least 10',
+    ]);
+  });
+
+  it('rejects a species on turtle seeds', () => {
+    const errors = validateConfig({ turtles: { seeds: [{ file: 'a.jpg', name: 'Shelly', species: 'trex' }] } });
+    assert.deepStrictEqual(errors, ['turtles.seeds[0].species is not a known setting']);
+  });
+
+  it('rejects missing image files', () => {
+    const file = writeConfig({ turtles: { heroImage: 'nope.png' } });
+    assert.throws(() => loadConfig({ file, env: {} }), /turtles\.heroImage not found/);
+  });
+
+  it('refuses a host code that is the same as the guest code', () => {
+    const file = writeConfig({ eventCode: '1234' });
+    assert.throws(() => loadConfig({ file, env: { HOST_CODE: '1234' } }), /hostCode must differ/);
+  });
+
+  it('rejects a bad PORT env var', () => {
+    const file = writeConfig({});
+    assert.throws(() => loadConfig({ file, env: { PORT: 'abc' } }), /PORT must be an integer/);
+  });
+
+  it('accepts the shipped example', () => {
+    const file = path.join(__dirname, '..', 'config.example.json');
+    assert.doesNotThrow(() => loadConfig({ file, env: {} }));
+  });
+});
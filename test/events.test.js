@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createEvent, eventMetadata, validateNewEvent, generateEventCode } = require('../lib/events');
+
+describe('events — creating', () => {
+  it('starts with empty entities, queue and clients, and both modes', () => {
+    const event = createEvent({ code: 'sam01', name: 'Sam', drawingsDir: '/tmp/x', store: null });
+    assert.deepStrictEqual(event.modes, ['turtles', 'dinos']);
+    assert.strictEqual(event.turtles.length, 0);
+    assert.strictEqual(event.nextId, 1);
+    assert.strictEqual(event.commandQueue.size, 0);
+    assert.strictEqual(event.sseClients.size, 0);
+    assert.strictEqual(event.previews.size, 0);
+    assert.strictEqual(event.archived, false);
+  });
+
+  it('does not share state between events', () => {
+    const a = createEvent({ code: 'aaa', name: 'A' });
+    const b = createEvent({ code: 'bbb', name: 'B' });
+    a.turtles.push({ id: '1' });
+    a.commandQueue.enqueue({ entityId: '1', action: 'spin', user: 'x' });
+    a.modes.pop();
+    assert.strictEqual(b.turtles.length, 0);
+    assert.strictEqual(b.commandQueue.size, 0);
+    assert.deepStrictEqual(b.modes, ['turtles', 'dinos']);
+  });
+
+  it('eventMetadata leaves out entities, clients and storage', () => {
+    const event = createEvent({ code: 'sam01', name: 'Sam', modes: ['dinos'], createdAt: 5, drawingsDir: '/tmp/x' });
+    assert.deepStrictEqual(eventMetadata(event), {
+      code: 'sam01', name: 'Sam', modes: ['dinos'], moderation: false, archived: false, createdAt: 5,
+    });
+  });
+});
+
+describe('events — validation and codes', () => {
+  const taken = new Set(['1234', 'sam01']);
+
+  it('accepts a name alone, or with a free code and known modes', () => {
+    assert.strictEqual(validateNewEvent({ name: 'Bo' }, taken), null);
+    assert.strictEqual(validateNewEvent({ name: 'Bo', code: 'bo-2026', modes: ['dinos'] }, taken), null);
+    assert.strictEqual(validateNewEvent({ name: 'Bo', moderation: true }, taken), null);
+  });
+
+  it('rejects bad input with a message', () => {
+    assert.match(validateNewEvent({}, taken), /Name is required/);
+    assert.match(validateNewEvent({ name: 'x'.repeat(61) }, taken), /60 characters/);
+    assert.match(validateNewEvent({ name: 'Bo', code: '../etc' }, taken), /letters, digits/);
+    assert.match(validateNewEvent({ name: 'Bo', code: 'sam01' }, taken), /already in use/);
+    assert.match(validateNewEvent({ name: 'Bo', modes: [] }, taken), /Modes/);
+    assert.match(validateNewEvent({ name: 'Bo', modes: ['unicorns'] }, taken), /Modes/);
+    assert.match(validateNewEvent({ name: 'Bo', moderation: 'yes' }, taken), /Moderation must be/);
+  });
+
+  it('generates 4-digit codes that are not taken', () => {
+    const almostFull = new Set();
+    for (let n = 1000; n < 10000; n++) if (n !== 4321) almostFull.add(String(n));
+    assert.strictEqual(generateEventCode(almostFull), '4321');
+    assert.match(generateEventCode(taken), /^\d{4}$/);
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { queryGallery } = require('../lib/gallery');
+
+const entities = {
+  turtles: [
+    { id: '1', name: 'Ada', createdAt: 100 },
+    { id: '2', name: 'Bo', createdAt: 300 },
+  ],
+  dinos: [
+    { id: 'd3', name: 'Rex', species: 'trex', createdAt: 200 },
+    { id: 'd10', name: 'Tri', species: 'triceratops', createdAt: 200 },
+  ],
+};
+
+describe('gallery — query', () => {
+  it('lists both modes newest first, by time then id', () => {
+    const { entities: page, total, pages } = queryGallery(entities);
+    assert.deepStrictEqual(page.map(e => e.id), ['2', 'd10', 'd3', '1']);
+    assert.deepStrictEqual(page.map(e => e.mode), ['turtles', 'dinos', 'dinos', 'turtles']);
+    assert.strictEqual(total, 4);
+    assert.strictEqual(pages, 1);
+  });
+
+  it('filters by mode and species', () => {
+    assert.deepStrictEqual(queryGallery(entities, { mode: 'turtles' }).entities.map(e => e.id), ['2', '1']);
+    assert.deepStrictEqual(queryGallery(entities, { species: 'trex' }).entities.map(e => e.id), ['d3']);
+    assert.deepStrictEqual(queryGallery(entities, { mode: 'dinos', species: 'brachiosaurus' }).entities, []);
+  });
+
+  it('pages with query-string numbers', () => {
+    const second = queryGallery(entities, { page: '2', perPage: '3' });
+    assert.deepStrictEqual(second.entities.map(e => e.id), ['1']);
+    assert.strictEqual(second.page, 2);
+    assert.strictEqual(second.pages, 2);
+    assert.strictEqual(queryGallery({}, {}).pages, 1, 'an empty gallery still has a page');
+  });
+
+  it('rejects bad filters', () => {
+    assert.deepStrictEqual(queryGallery(entities, { mode: 'cats' }), { error: 'Mode must be turtles or dinos.' });
+    assert.deepStrictEqual(queryGallery(entities, { species: 'nessie' }),
+      { error: 'Species must be one of trex, triceratops, brachiosaurus.' });
+    assert.deepStrictEqual(queryGallery(entities, { mode: 'turtles', species: 'trex' }), { error: 'Turtles have no species.' });
+    assert.deepStrictEqual(queryGallery(entities, { page: '0' }), { error: 'Page must be a whole number from 1.' });
+    assert.deepStrictEqual(queryGallery(entities, { perPage: '500' }), { error: 'perPage must be 1 to 100.' });
+  });
+});
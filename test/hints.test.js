@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { HINTS, photoHints, inkCoverage, describeHints } = require('../lib/hints');
+
+// A photographed page: grey paper with a few black and colored shapes
+const PAGE = `<svg width="400" height="300" xmlns="http://www.w3.org/2000/svg">
+  <rect width="100%" height="100%" fill="#c8c8c8"/>
+  <circle cx="200" cy="150" r="90" fill="none" stroke="black" stroke-width="8"/>
+  <rect x="160" y="110" width="80" height="80" fill="#d03030"/>
+  <path d="M40 40 L120 60 L60 120 Z" fill="#2050c0"/>
+</svg>`;
+
+async function raw(pipeline) {
+  const { data, info } = await pipeline.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return [data, info.width, info.height];
+}
+
+const page = () => sharp(Buffer.from(PAGE));
+
+describe('hints — photoHints', () => {
+  it('has nothing to say about a clear, well-lit photo', async () => {
+    assert.deepStrictEqual(photoHints(...await raw(page())), []);
+  });
+
+  it('finds a dark photo', async () => {
+    assert.deepStrictEqual(photoHints(...await raw(page().linear(0.3, 0))), ['too_dark']);
+  });
+
+  it('finds a blurry photo', async () => {
+    assert.deepStrictEqual(photoHints(...await raw(page().blur(3))), ['blurry']);
+  });
+
+  it('finds glare on the page', async () => {
+    const glare = Buffer.from(`<svg width="400" height="300" xmlns="http://www.w3.org/2000/svg">
+      <ellipse cx="300" cy="220" rx="60" ry="40" fill="white"/>
+    </svg>`);
+    assert.deepStrictEqual(photoHints(...await raw(page().composite([{ input: glare }]))), ['glare']);
+  });
+
+  it('leaves a plain white image alone', async () => {
+    const white = sharp({ create: { width: 200, height: 200, channels: 3, background: '#ffffff' } });
+    assert.deepStrictEqual(photoHints(...await raw(white)), []);
+  });
+});
+
+describe('hints — inkCoverage', () => {
+  it('counts colorful and dark pixels, skipping transparent ones', async () => {
+    const [data] = await raw(sharp(Buffer.from(`<svg width="100" height="100" xmlns="http://www.w3.org/2000/svg">
+      <rect width="100" height="100" fill="white"/>
+      <rect width="100" height="25" fill="#d03030"/>
+      <rect y="25" width="100" height="25" fill="#202020"/>
+    </svg>`)));
+    assert.ok(Math.abs(inkCoverage(data) - 0.5) < 0.01, `got ${inkCoverage(data)}`);
+
+    // The same pixels with the white half cut away
+    for (let i = 50 * 100 * 4; i < data.length; i += 4) data[i + 3] = 0;
+    assert.ok(inkCoverage(data) > 0.99);
+  });
+
+  it('is 0 for a blank page', async () => {
+    const [data] = await raw(sharp({ create: { width: 50, height: 50, channels: 3, background: '#f0f0f0' } }));
+    assert.strictEqual(inkCoverage(data), 0);
+  });
+});
+
+describe('hints — describeHints', () => {
+  it('gives every message, most important first', () => {
+    const { hint, hints } = describeHints(['blank', 'too_dark']);
+    assert.deepStrictEqual(hints.map(h => h.code), ['too_dark', 'blank']);
+    assert.strictEqual(hints[1].message, HINTS.blank);
+    assert.strictEqual(hint, HINTS.too_dark);
+  });
+
+  it('gives null and no hints for a good photo', () => {
+    assert.deepStrictEqual(describeHints([]), { hint: null, hints: [] });
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createJobQueue, isTransient } = require('../lib/jobQueue');
+
+// A job that finishes when told to
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { run: () => promise, resolve, reject };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('jobQueue — running jobs', () => {
+  it('runs a few jobs at a time and queues the rest in order', async () => {
+    const queue = createJobQueue({ concurrency: 2 });
+    const work = [deferred(), deferred(), deferred(), deferred()];
+    const ids = work.map(w => queue.add(w.run, { owner: '1234' }).id);
+
+    assert.deepStrictEqual(ids.map(id => queue.get(id, '1234').status), ['running', 'running', 'queued', 'queued']);
+    assert.strictEqual(queue.get(ids[2], '1234').ahead, 0);
+    assert.strictEqual(queue.get(ids[3], '1234').ahead, 1);
+    assert.strictEqual(queue.size, 4);
+
+    work[1].resolve({ success: true });
+    await tick();
+    assert.deepStrictEqual(queue.get(ids[1], '1234').result, { success: true });
+    assert.strictEqual(queue.get(ids[1], '1234').status, 'done');
+    assert.strictEqual(queue.get(ids[2], '1234').status, 'running');
+    assert.strictEqual(queue.get(ids[3], '1234').ahead, 0);
+    assert.strictEqual(queue.size, 3);
+  });
+
+  it('reports the stage a running job is at', async () => {
+    const queue = createJobQueue();
+    const gate = deferred();
+    const { id } = queue.add(async ({ progress }) => {
+      progress('saving');
+      await gate.run();
+      return 'ok';
+    });
+    assert.strictEqual(queue.get(id).stage, 'saving');
+    gate.resolve();
+    await tick();
+    assert.strictEqual(queue.get(id).stage, undefined);
+    assert.strictEqual(queue.get(id).result, 'ok');
+  });
+
+  it('only shows a job to its owner', () => {
+    const queue = createJobQueue();
+    const { id } = queue.add(deferred().run, { owner: '1234' });
+    assert.match(id, /^[0-9a-f]{24}$/);
+    assert.ok(queue.get(id, '1234'));
+    assert.strictEqual(queue.get(id, '5678'), null);
+    assert.strictEqual(queue.get('nope', '1234'), null);
+  });
+
+  it('turns jobs away once maxQueued are waiting', () => {
+    const queue = createJobQueue({ concurrency: 1, maxQueued: 1 });
+    assert.ok(queue.add(deferred().run)); // running
+    assert.ok(queue.add(deferred().run)); // waiting
+    assert.strictEqual(queue.add(deferred().run), null);
+  });
+
+  it('forgets finished jobs after keepMs', async () => {
+    let t = 1000;
+    const queue = createJobQueue({ keepMs: 500, now: () => t });
+    const { id } = queue.add(async () => 'ok');
+    await tick();
+    t += 499;
+    assert.strictEqual(queue.get(id).status, 'done');
+    t += 1;
+    assert.strictEqual(queue.get(id), null);
+  });
+});
+
+describe('jobQueue — failures', () => {
+  it('tries a failed job again, then succeeds', async () => {
+    const queue = createJobQueue({ attempts: 2, retryDelayMs: 20 });
+    let calls = 0;
+    const { id } = queue.add(async ({ attempt }) => {
+      calls++;
+      if (attempt === 1) throw new Error('vision timed out');
+      return 'ok';
+    });
+    await tick();
+    assert.deepStrictEqual(queue.get(id), { id, status: 'retrying', attempt: 1, attempts: 2, error: 'vision timed out' });
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.deepStrictEqual(queue.get(id), { id, status: 'done', attempt: 2, attempts: 2, result: 'ok' });
+    assert.strictEqual(calls, 2);
+  });
+
+  it('fails a job with the last error once out of attempts', async () => {
+    const queue = createJobQueue({ attempts: 2, retryDelayMs: 0 });
+    const { id } = queue.add(async ({ attempt }) => { throw new Error(`attempt ${attempt}`); });
+    await tick();
+    await tick();
+    const job = queue.get(id);
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.error, 'attempt 2');
+    assert.strictEqual(queue.size, 0);
+  });
+
+  it('does not retry errors marked retry: false', async () => {
+    const queue = createJobQueue({ attempts: 3, retryDelayMs: 0 });
+    const { id } = queue.add(async () => {
+      throw Object.assign(new Error('That preview has expired.'), { retry: false });
+    });
+    await tick();
+    assert.strictEqual(queue.get(id).status, 'failed');
+    assert.strictEqual(queue.get(id).attempt, 1);
+  });
+
+  it('keeps running other jobs while one waits to retry', async () => {
+    const queue = createJobQueue({ concurrency: 1, retryDelayMs: 30 });
+    const failing = queue.add(async ({ attempt }) => {
+      if (attempt === 1) throw new Error('busy');
+      return 'second try';
+    });
+    const other = queue.add(async () => 'ok');
+    await tick();
+    assert.strictEqual(queue.get(failing.id).status, 'retrying');
+    assert.strictEqual(queue.get(other.id).status, 'done');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(queue.get(failing.id).result, 'second try');
+  });
+});
+
+describe('jobQueue — isTransient', () => {
+  it('retries I/O hiccups and services that are down or busy', () => {
+    assert.ok(isTransient(Object.assign(new Error('too many open files'), { code: 'EMFILE' })));
+    assert.ok(isTransient(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })));
+    assert.ok(isTransient(Object.assign(new Error('overloaded'), { status: 529 })));
+    assert.ok(isTransient(Object.assign(new Error('rate limited'), { status: 429 })));
+  });
+
+  it('does not retry what would fail the same way again', () => {
+    assert.ok(!isTransient(new Error('Input buffer contains unsupported image format')));
+    assert.ok(!isTransient(Object.assign(new Error('no such file'), { code: 'ENOENT' })));
+    assert.ok(!isTransient(Object.assign(new Error('bad request'), { status: 400 })));
+    assert.ok(!isTransient(undefined));
+  });
+});
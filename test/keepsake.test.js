@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { keepsakeEntries } = require('../lib/keepsake');
+
+describe('keepsake — entries', () => {
+  let tmpDir;
+  let event;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keepsake-'));
+    event = {
+      code: '1234',
+      name: 'Party',
+      drawingsDir: path.join(tmpDir, 'drawings'),
+      originalsDir: path.join(tmpDir, 'originals'),
+    };
+    fs.mkdirSync(event.drawingsDir);
+    fs.mkdirSync(event.originalsDir);
+    fs.writeFileSync(path.join(event.drawingsDir, '1_Ada.png'), 'png-1');
+    fs.writeFileSync(path.join(event.originalsDir, '1_Ada_original.jpg'), 'jpg-1');
+    fs.writeFileSync(path.join(event.drawingsDir, 'dino_d2_Rex.png'), 'png-2');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('packs drawings, kept originals and a manifest', async () => {
+    const createdAt = Date.UTC(2026, 5, 1, 15, 0, 0);
+    const entries = await keepsakeEntries(event, [
+      { id: '1', mode: 'turtles', name: 'Ada', createdAt, file: '1_Ada.png', original: '1_Ada_original.jpg' },
+      { id: 'd2', mode: 'dinos', name: 'Rex', species: 'trex', createdAt, file: 'dino_d2_Rex.png' },
+    ], { now: () => createdAt });
+
+    assert.deepStrictEqual(entries.map(e => e.name),
+      ['manifest.json', 'drawings/1_Ada.png', 'originals/1_Ada_original.jpg', 'drawings/dino_d2_Rex.png']);
+    assert.strictEqual(fs.readFileSync(entries[2].file, 'utf8'), 'jpg-1');
+
+    const manifest = JSON.parse(entries[0].data);
+    assert.deepStrictEqual(manifest.event, { code: '1234', name: 'Party' });
+    assert.deepStrictEqual(manifest.drawings[1], {
+      id: 'd2',
+      mode: 'dinos',
+      name: 'Rex',
+      createdAt: '2026-06-01T15:00:00.000Z',
+      drawing: 'drawings/dino_d2_Rex.png',
+      original: null,
+      species: 'trex',
+    });
+  });
+
+  it('reads archived drawings and photos from their folders', async () => {
+    const dir = path.join(event.drawingsDir, 'archive', 'evicted');
+    const originalsDir = path.join(event.originalsDir, 'archive', 'evicted');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.mkdirSync(originalsDir, { recursive: true });
+    fs.renameSync(path.join(event.drawingsDir, '1_Ada.png'), path.join(dir, '1_Ada.png'));
+    fs.renameSync(path.join(event.originalsDir, '1_Ada_original.jpg'), path.join(originalsDir, '1_Ada_original.jpg'));
+    const entries = await keepsakeEntries(event, [
+      { id: '1', mode: 'turtles', name: 'Ada', file: '1_Ada.png', original: '1_Ada_original.jpg', dir, originalsDir },
+    ]);
+    assert.deepStrictEqual(entries.map(e => e.name),
+      ['manifest.json', 'drawings/1_Ada.png', 'originals/1_Ada_original.jpg']);
+    assert.strictEqual(fs.readFileSync(entries[1].file, 'utf8'), 'png-1');
+    assert.strictEqual(fs.readFileSync(entries[2].file, 'utf8'), 'jpg-1');
+  });
+
+  it('leaves out drawings that are gone from disk', async () => {
+    const entries = await keepsakeEntries(event, [{ id: '9', mode: 'turtles', name: 'Gone', file: '9_Gone.png' }]);
+    assert.deepStrictEqual(entries.map(e => e.name), ['manifest.json']);
+    assert.deepStrictEqual(JSON.parse(entries[0].data).drawings, []);
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { prepareOriginal, originalFileName } = require('../lib/originals');
+
+// A wide phone photo stored sideways, with orientation and camera EXIF
+function phonePhoto() {
+  return sharp({ create: { width: 3000, height: 1000, channels: 3, background: '#3a6' } })
+    .withMetadata({ orientation: 6, exif: { IFD0: { Make: 'PhoneCo', Copyright: 'Lily' } } })
+    .jpeg()
+    .toBuffer();
+}
+
+describe('originals — prepareOriginal', () => {
+  it('turns the photo upright, caps its size and drops EXIF', async () => {
+    const before = await sharp(await phonePhoto()).metadata();
+    assert.ok(before.exif, 'the test photo has EXIF to strip');
+
+    const meta = await sharp(await prepareOriginal(await phonePhoto())).metadata();
+    assert.strictEqual(meta.format, 'jpeg');
+    assert.strictEqual(meta.width, 667);
+    assert.strictEqual(meta.height, 2000);
+    assert.strictEqual(meta.exif, undefined);
+    assert.strictEqual(meta.orientation, undefined);
+  });
+
+  it('leaves small photos their size and flattens transparency onto white', async () => {
+    const png = await sharp({ create: { width: 40, height: 30, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+      .png().toBuffer();
+    const { data, info } = await sharp(await prepareOriginal(png, { maxDimension: 100 }))
+      .raw().toBuffer({ resolveWithObject: true });
+    assert.strictEqual(info.width, 40);
+    assert.strictEqual(info.height, 30);
+    assert.ok(data[0] > 250 && data[1] > 250 && data[2] > 250, 'transparent pixels become white');
+  });
+});
+
+describe('originals — originalFileName', () => {
+  it('sits next to the drawing', () => {
+    assert.strictEqual(originalFileName('3_Ada.png'), '3_Ada_original.jpg');
+    assert.strictEqual(originalFileName('dino_d4_Rex.png'), 'dino_d4_Rex_original.jpg');
+  });
+});
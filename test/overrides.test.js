@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { checkOverrides } = require('../lib/overrides');
+
+describe('overrides — checkOverrides', () => {
+  it('accepts what each mode can set, or nothing', () => {
+    assert.strictEqual(checkOverrides('turtles', {}), null);
+    assert.strictEqual(checkOverrides('turtles', { circle: { cx: 0.5, cy: 0.4, r: 0.3 } }), null);
+    assert.strictEqual(checkOverrides('dinos', {
+      species: 'triceratops',
+      rotation: 270,
+      bbox: { x: 0.1, y: 0.2, w: 0.9, h: 0.5 },
+    }), null);
+  });
+
+  it("rejects settings the mode doesn't have", () => {
+    assert.strictEqual(checkOverrides('turtles', { species: 'trex' }), "Turtles can't set species.");
+    assert.strictEqual(checkOverrides('dinos', { circle: { cx: 0.5, cy: 0.5, r: 0.5 } }), "Dinosaurs can't set circle.");
+    assert.strictEqual(checkOverrides('dinos', []), 'Overrides must be an object.');
+  });
+
+  it('rejects values out of range', () => {
+    assert.strictEqual(checkOverrides('turtles', { circle: { cx: 1.2, cy: 0.5, r: 0.3 } }),
+      'Circle needs cx, cy and r between 0 and 1.');
+    assert.strictEqual(checkOverrides('turtles', { circle: { cx: 0.5, cy: 0.5, r: 0 } }),
+      'Circle needs cx, cy and r between 0 and 1.');
+    assert.strictEqual(checkOverrides('dinos', { species: 'stegosaurus' }),
+      'Species must be one of trex, triceratops, brachiosaurus.');
+    assert.strictEqual(checkOverrides('dinos', { rotation: 45 }), 'Rotation must be 0, 90, 180, 270.');
+    assert.strictEqual(checkOverrides('dinos', { bbox: { x: 0, y: 0, w: '1', h: 1 } }),
+      'Bbox needs x, y, w and h between 0 and 1.');
+    assert.strictEqual(checkOverrides('dinos', { bbox: { x: 0.5, y: 0, w: 0.6, h: 1 } }),
+      'Bbox must fit inside the photo.');
+  });
+});
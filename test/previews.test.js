@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createPreviewStore } = require('../lib/previews');
+
+function clock(start = 1000) {
+  let t = start;
+  return { now: () => t, advance: ms => { t += ms; } };
+}
+
+describe('previews — store', () => {
+  it('holds data until it is taken', () => {
+    const previews = createPreviewStore();
+    const id = previews.add({ species: 'trex' });
+    assert.match(id, /^[0-9a-f]{24}$/);
+    assert.deepStrictEqual(previews.get(id), { species: 'trex' });
+    assert.deepStrictEqual(previews.take(id), { species: 'trex' });
+    assert.strictEqual(previews.take(id), null, 'a preview is confirmed once');
+    assert.strictEqual(previews.get('nope'), null);
+  });
+
+  it('replaces the data of a held preview', () => {
+    const previews = createPreviewStore();
+    const id = previews.add({ species: 'trex' });
+    assert.strictEqual(previews.replace(id, { species: 'triceratops' }), true);
+    assert.deepStrictEqual(previews.get(id), { species: 'triceratops' });
+    assert.strictEqual(previews.replace('nope', {}), false);
+  });
+
+  it('drops previews after ttlMs', () => {
+    const c = clock();
+    const previews = createPreviewStore({ ttlMs: 1000, now: c.now });
+    const first = previews.add('a');
+    c.advance(600);
+    const second = previews.add('b');
+    c.advance(600);
+    assert.strictEqual(previews.get(first), null);
+    assert.strictEqual(previews.get(second), 'b');
+    assert.strictEqual(previews.size, 1);
+  });
+
+  it('drops the oldest once full', () => {
+    const previews = createPreviewStore({ maxSize: 2 });
+    const ids = ['a', 'b', 'c'].map(data => previews.add(data));
+    assert.strictEqual(previews.get(ids[0]), null);
+    assert.strictEqual(previews.get(ids[2]), 'c');
+    assert.strictEqual(previews.size, 2);
+  });
+});
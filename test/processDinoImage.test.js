@@ -1,10 +1,11 @@
-const { describe, it, before } = require('node:test');
+const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert');
 const sharp = require('sharp');
 const fs = require('node:fs');
 const path = require('node:path');
 const processDinoImage = require('../lib/processDinoImage');
 const { initCV } = require('../lib/processImage');
+const { startMockVisionServer } = require('../lib/mockVisionServer');
 
 // Warm up OpenCV WASM once
 before(async () => {
@@ -477,3 +478,267 @@ describe('processDinoImage — real photo regression tests', () => {
     console.log(`  real photo: ${visiblePct.toFixed(1)}% visible, species=${result.species}`);
   });
 });
+
+// =====================================================================
+
+const isVisionEnv = key => key === 'ANTHROPIC_API_KEY' || key.startsWith('VISION_');
+
+/**
+ * Take ANTHROPIC_API_KEY and every VISION_* variable (see
+ * visionOptionsFromEnv) out of the environment. Returns them for
+ * restoreVisionEnv.
+ */
+function clearVisionEnv() {
+  const saved = {};
+  for (const key of Object.keys(process.env).filter(isVisionEnv)) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  return saved;
+}
+
+function restoreVisionEnv(saved) {
+  for (const key of Object.keys(process.env).filter(isVisionEnv)) delete process.env[key];
+  Object.assign(process.env, saved);
+}
+
+/**
+ * Force the local path for the enclosing describe block so its tests never
+ * depend on the vision API, whatever the machine has set.
+ */
+function withoutVisionKey() {
+  let saved;
+  before(() => {
+    saved = clearVisionEnv();
+  });
+  after(() => {
+    restoreVisionEnv(saved);
+  });
+}
+
+describe('processDinoImage — offline species detection from indicator dots', () => {
+  withoutVisionKey();
+
+  for (const species of ['trex', 'triceratops', 'brachiosaurus']) {
+    it(`counts the indicator dots on a ${species} page`, async () => {
+      const page = await makeDinoPage(species, '#44aa22');
+      const result = await processDinoImage(page);
+
+      assert.strictEqual(result.species, species);
+      assert.strictEqual(result.speciesMethod, 'dots');
+      assert.ok(result.speciesConfidence >= 0.7,
+        `expected confident reading, got ${result.speciesConfidence}`);
+    });
+  }
+
+  it('reads the dots on a real rotated photo', async () => {
+    const imgBuf = fs.readFileSync(path.join(__dirname, 'dino_debug', 'dino_tric_real_test.png'));
+    const result = await processDinoImage(imgBuf);
+
+    assert.strictEqual(result.species, 'triceratops');
+    assert.strictEqual(result.speciesMethod, 'dots');
+  });
+
+  it('falls back to trex with zero confidence when no dots are printed', async () => {
+    const page = await makeDinoPage('brachiosaurus', 'red');
+    // White out the upper-right corner where the indicator dots sit
+    const blank = await sharp({
+      create: { width: 200, height: 90, channels: 3, background: '#ffffff' }
+    }).png().toBuffer();
+    const noDots = await sharp(page)
+      .composite([{ input: blank, top: 0, left: 600 }])
+      .png().toBuffer();
+
+    const result = await processDinoImage(noDots);
+    assert.strictEqual(result.species, 'trex');
+    assert.strictEqual(result.speciesMethod, 'default');
+    assert.strictEqual(result.speciesConfidence, 0);
+  });
+
+  it('takes the species it is given over the dots', async () => {
+    const page = await makeDinoPage('trex', '#44aa22');
+    const result = await processDinoImage(page, { species: 'brachiosaurus' });
+
+    assert.strictEqual(result.species, 'brachiosaurus');
+    assert.strictEqual(result.speciesMethod, 'manual');
+    assert.strictEqual(result.speciesConfidence, 1);
+    const meta = await sharp(Buffer.from(result.imageData.split(',')[1], 'base64')).metadata();
+    const brach = await sharp(path.join(__dirname, '..', 'public', 'brach.png')).metadata();
+    assert.deepStrictEqual([meta.width, meta.height], [brach.width, brach.height]);
+  });
+});
+
+describe('processDinoImage — offline rotation and bounding box', () => {
+  withoutVisionKey();
+
+  for (const angle of [90, 180, 270]) {
+    it(`turns a page photographed at ${angle}° back upright`, async () => {
+      const page = await makeDinoPage('triceratops', 'blue');
+      const rotated = await sharp(page).rotate(angle).png().toBuffer();
+      const result = await processDinoImage(rotated);
+
+      assert.strictEqual(result.rotation, (360 - angle) % 360);
+      assert.strictEqual(result.species, 'triceratops');
+    });
+  }
+
+  it('leaves an upright page alone', async () => {
+    const page = await makeDinoPage('brachiosaurus', 'green');
+    const result = await processDinoImage(page);
+    assert.strictEqual(result.rotation, 0);
+  });
+
+  it('boxes the dino instead of the whole grid', async () => {
+    const page = await makeDinoPage('trex', 'red');
+    const { bbox } = await processDinoImage(page);
+
+    // makeDinoPage centers the dino and keeps it well inside the grid
+    assert.ok(Math.abs(bbox.x + bbox.w / 2 - 0.5) < 0.1, `off-center x: ${JSON.stringify(bbox)}`);
+    assert.ok(Math.abs(bbox.y + bbox.h / 2 - 0.5) < 0.1, `off-center y: ${JSON.stringify(bbox)}`);
+    assert.ok(bbox.w < 0.9 && bbox.h < 0.8, `box covers the whole grid: ${JSON.stringify(bbox)}`);
+  });
+
+  it('rotates the real sideways photo upright and boxes the dino', async () => {
+    const imgBuf = fs.readFileSync(path.join(__dirname, 'dino_debug', 'dino_tric_real_test.png'));
+    const result = await processDinoImage(imgBuf);
+
+    assert.strictEqual(result.rotation, 270);
+    assert.ok(result.bbox.w < 1 || result.bbox.h < 1, 'expected a box tighter than the grid');
+  });
+
+  for (const angle of [0, 90]) {
+    it(`maps the crop back onto the upright photo (taken at ${angle}°)`, async () => {
+      const page = await makeDinoPage('trex', 'red');
+      const photo = await sharp(page).rotate(angle).png().toBuffer();
+      const { photoBox } = await processDinoImage(photo);
+
+      // The dino sits in the middle 70% × 60% of the page
+      assert.ok(Math.abs(photoBox.x + photoBox.w / 2 - 0.5) < 0.1, `off-center x: ${JSON.stringify(photoBox)}`);
+      assert.ok(Math.abs(photoBox.y + photoBox.h / 2 - 0.5) < 0.1, `off-center y: ${JSON.stringify(photoBox)}`);
+      assert.ok(photoBox.w > 0.3 && photoBox.w < 0.8, `width: ${JSON.stringify(photoBox)}`);
+      assert.ok(photoBox.h > 0.3 && photoBox.h < 0.7, `height: ${JSON.stringify(photoBox)}`);
+    });
+  }
+});
+
+describe('processDinoImage — hints', () => {
+  withoutVisionKey();
+
+  it('has no hints for a clear photo of a colored page', async () => {
+    const result = await processDinoImage(await makeDinoPage('trex', 'red'));
+    assert.deepStrictEqual(result.hints, []);
+    assert.strictEqual(result.hint, null);
+  });
+
+  it('says when the dino is not colored in', async () => {
+    const result = await processDinoImage(await makeDinoPage('triceratops', 'white'));
+    assert.deepStrictEqual(result.hints.map(h => h.code), ['blank']);
+  });
+
+  it('says when the page is tilted', async () => {
+    const page = await makeDinoPage('brachiosaurus', 'green');
+    const tilted = await sharp(page).rotate(20, { background: '#ffffff' }).png().toBuffer();
+    const result = await processDinoImage(tilted);
+    assert.deepStrictEqual(result.hints.map(h => h.code), ['rotated']);
+  });
+
+  it('says when there is no grid', async () => {
+    const photo = await sharp({
+      create: { width: 600, height: 400, channels: 3, background: '#ffffff' }
+    }).composite([{
+      input: Buffer.from('<svg width="600" height="400"><circle cx="300" cy="200" r="120" fill="orange"/></svg>'),
+    }]).png().toBuffer();
+    const result = await processDinoImage(photo);
+    assert.deepStrictEqual(result.hints.map(h => h.code), ['no_grid']);
+    assert.strictEqual(result.hint, result.hints[0].message);
+  });
+});
+
+describe('processDinoImage — framed by hand', () => {
+  withoutVisionKey();
+
+  // Left half red, right half blue
+  function halves() {
+    return sharp({ create: { width: 400, height: 400, channels: 3, background: '#0000ff' } })
+      .composite([{
+        input: { create: { width: 200, height: 400, channels: 3, background: '#ff0000' } },
+        left: 0,
+        top: 0,
+      }])
+      .png().toBuffer();
+  }
+
+  async function centerPixel(result) {
+    const { data, info } = await sharp(Buffer.from(result.imageData.split(',')[1], 'base64'))
+      .raw().toBuffer({ resolveWithObject: true });
+    const i = (Math.floor(info.height / 2) * info.width + Math.floor(info.width / 2)) * info.channels;
+    return { r: data[i], b: data[i + 2] };
+  }
+
+  it('crops the photo to the given box', async () => {
+    const bbox = { x: 0.5, y: 0, w: 0.5, h: 1 };
+    const result = await processDinoImage(await halves(), { species: 'trex', rotation: 0, bbox });
+    const { r, b } = await centerPixel(result);
+    assert.ok(b > 200 && r < 50, 'the blue half is kept');
+    assert.strictEqual(result.rotation, 0);
+    assert.ok(Math.abs(result.photoBox.x - 0.5) < 0.01 && Math.abs(result.photoBox.w - 0.5) < 0.01);
+  });
+
+  it('turns the photo before cropping', async () => {
+    // A quarter turn clockwise brings the red left half to the top
+    const bbox = { x: 0, y: 0, w: 1, h: 0.5 };
+    const result = await processDinoImage(await halves(), { species: 'trex', rotation: 90, bbox });
+    const { r, b } = await centerPixel(result);
+    assert.ok(r > 200 && b < 50, 'the red half is kept');
+    assert.strictEqual(result.rotation, 90);
+  });
+});
+
+describe('processDinoImage — vision provider via the mock server', () => {
+  let saved, mock;
+  before(() => {
+    saved = clearVisionEnv();
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+  });
+  after(async () => {
+    restoreVisionEnv(saved);
+    if (mock) await mock.close();
+  });
+
+  async function useMock(options) {
+    if (mock) await mock.close();
+    mock = await startMockVisionServer(options);
+    process.env.VISION_ENDPOINT = mock.url;
+  }
+
+  it('combines a matching vision answer with the dots', async () => {
+    await useMock({ reply: { species: 'triceratops', rotation: 0, bbox: { x: 0, y: 0, w: 1, h: 1 } } });
+    const result = await processDinoImage(await makeDinoPage('triceratops', 'blue'));
+
+    assert.strictEqual(mock.requests.length, 1);
+    assert.strictEqual(result.species, 'triceratops');
+    assert.strictEqual(result.speciesMethod, 'dots+vision');
+  });
+
+  it('falls back to local detection on an unusable answer', async () => {
+    await useMock({ reply: 'I think it is a stegosaurus!' });
+    const result = await processDinoImage(await makeDinoPage('brachiosaurus', 'green'));
+
+    assert.strictEqual(result.species, 'brachiosaurus');
+    assert.strictEqual(result.speciesMethod, 'dots');
+  });
+
+  it('does not hold up an upload when the provider is slow', async () => {
+    await useMock({ delayMs: 10000 });
+    process.env.VISION_TIMEOUT_MS = '300';
+    process.env.VISION_RETRIES = '0';
+    process.env.VISION_BUDGET_MS = '300';
+
+    const started = Date.now();
+    const result = await processDinoImage(await makeDinoPage('triceratops', 'blue'));
+    const elapsed = Date.now() - started;
+
+    assert.strictEqual(result.speciesMethod, 'dots');
+    assert.ok(elapsed < 8000, `upload waited ${elapsed}ms on a slow provider`);
+  });
+});
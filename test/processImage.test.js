@@ -313,3 +313,76 @@ describe('processImage — real photo regression tests', () => {
     assert.strictEqual(result.shellDetected, true);
   });
 });
+
+describe('processImage — circle set by hand', () => {
+
+  it('reports the circle it found, in fractions of the photo', async () => {
+    const buf = await makeImage(`
+      <circle cx="150" cy="100" r="60" fill="red" stroke="black" stroke-width="10"/>
+    `, 400, 200);
+    const { circle } = await processImage(buf);
+    assert.ok(Math.abs(circle.cx - 150 / 400) < 0.03, `cx ${circle.cx}`);
+    assert.ok(Math.abs(circle.cy - 100 / 200) < 0.05, `cy ${circle.cy}`);
+    assert.ok(Math.abs(circle.r - 60 / 200) < 0.05, `r ${circle.r}`);
+  });
+
+  it('crops to the given circle instead of detecting one', async () => {
+    // Two shells; detection would pick the bolder one on the left
+    const buf = await makeImage(`
+      <circle cx="100" cy="100" r="70" fill="red" stroke="black" stroke-width="14"/>
+      <circle cx="300" cy="100" r="70" fill="blue" stroke="black" stroke-width="4"/>
+    `, 400, 200);
+    const result = await processImage(buf, { circle: { cx: 0.75, cy: 0.5, r: 0.35 } });
+    assert.strictEqual(result.shellDetected, true);
+    assert.deepStrictEqual(result.circle, { cx: 0.75, cy: 0.5, r: 0.35 });
+
+    const { data, width, height } = await decodeResult(result);
+    const center = getPixel(data, width, Math.floor(width / 2), Math.floor(height / 2));
+    assert.ok(center.b > 200 && center.r < 50, 'the blue shell is kept');
+  });
+});
+
+describe('processImage — hints', () => {
+
+  it('says when the shell is cut off', async () => {
+    const buf = await makeImage(`
+      <circle cx="320" cy="200" r="150" fill="yellow" stroke="black" stroke-width="14"/>
+      <ellipse cx="320" cy="30" rx="40" ry="30" fill="black"/>
+    `);
+    const result = await processImage(buf);
+    assert.strictEqual(result.shellDetected, false);
+    assert.deepStrictEqual(result.hints.map(h => h.code), ['circle_cut_off']);
+  });
+
+  it('says when a coloring page has no shell to find', async () => {
+    // Head and flippers, but the shell border is colored over
+    const buf = await makeImage(`
+      <ellipse cx="200" cy="40" rx="30" ry="25" fill="black"/>
+      <ellipse cx="60" cy="150" rx="60" ry="15" fill="black"/>
+      <ellipse cx="340" cy="150" rx="60" ry="15" fill="black"/>
+      <ellipse cx="130" cy="340" rx="40" ry="12" fill="black"/>
+      <ellipse cx="270" cy="340" rx="40" ry="12" fill="black"/>
+    `);
+    const result = await processImage(buf);
+    assert.strictEqual(result.shellDetected, false);
+    assert.deepStrictEqual(result.hints.map(h => h.code), ['no_circle']);
+    assert.strictEqual(result.hint, result.hints[0].message);
+  });
+
+  it('says when the shell is empty', async () => {
+    const buf = await makeImage(`
+      <circle cx="200" cy="200" r="120" fill="white" stroke="black" stroke-width="14"/>
+    `);
+    const result = await processImage(buf);
+    assert.deepStrictEqual(result.hints.map(h => h.code), ['blank']);
+  });
+
+  it('says when the photo is blurry', async () => {
+    const sharpPhoto = fs.readFileSync(path.join(__dirname, '2_Hdd.png'));
+    assert.deepStrictEqual((await processImage(sharpPhoto)).hints, []);
+
+    const blurred = await sharp(sharpPhoto).blur(2).png().toBuffer();
+    const result = await processImage(blurred);
+    assert.ok(result.hints.some(h => h.code === 'blurry'), JSON.stringify(result.hints));
+  });
+});
@@ -0,0 +1,184 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const EVENT_CODE = '1234';
+const HOST_CODE = 'host-test';
+const PHOTO = fs.readFileSync(path.join(__dirname, 'test_photo.jpg'));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * server.js in a child process, with its drawings, store and photos in a
+ * temp folder, no hero dino or seeds, and vision off. Resolves once it's
+ * listening.
+ */
+async function startServer(tmpDir) {
+  const configFile = path.join(tmpDir, 'config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ dinos: { heroImage: null, seeds: [] } }));
+  const env = Object.fromEntries(Object.entries(process.env)
+    .filter(([key]) => key !== 'ANTHROPIC_API_KEY' && !key.startsWith('VISION_')));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...env,
+      PORT: String(port),
+      HOST: '127.0.0.1',
+      EVENT_CODE,
+      HOST_CODE,
+      CONFIG_FILE: configFile,
+      STORAGE_FILE: path.join(tmpDir, 'data', 'aquarium.json'),
+      DRAWINGS_DIR: path.join(tmpDir, 'drawings'),
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Server running')) resolve();
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => reject(new Error(`server exited (${code}):\n${output}`)));
+  });
+  return { url: `http://127.0.0.1:${port}`, child };
+}
+
+function photoForm(fields, photo) {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) form.append(key, value);
+  form.append('photo', new Blob([photo], { type: 'image/jpeg' }), 'photo.jpg');
+  return form;
+}
+
+let tmpDir;
+let server;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  server = await startServer(tmpDir);
+}, { timeout: 60000 });
+
+after(() => {
+  if (server) server.child.kill();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function get(url) {
+  const res = await fetch(server.url + url);
+  return { status: res.status, body: await res.json() };
+}
+
+async function post(url, body) {
+  const json = !(body instanceof FormData);
+  const res = await fetch(server.url + url, {
+    method: 'POST',
+    headers: json ? { 'Content-Type': 'application/json' } : {},
+    body: json ? JSON.stringify(body) : body,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Follow a job until it's done or failed
+async function waitForJob(statusUrl) {
+  for (let i = 0; i < 300; i++) {
+    const { body } = await get(statusUrl);
+    if (body.status === 'done' || body.status === 'failed') return body;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`job at ${statusUrl} didn't finish`);
+}
+
+describe('server — processing jobs', { timeout: 120000 }, () => {
+  it('answers an upload with a job, and the turtle is added when it is done', async () => {
+    const { status, body } = await post('/api/upload', photoForm({ eventCode: EVENT_CODE, name: 'Ada' }, PHOTO));
+    assert.strictEqual(status, 202);
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.statusUrl, `/api/jobs/${body.jobId}?eventCode=${EVENT_CODE}`);
+
+    const job = await waitForJob(body.statusUrl);
+    assert.strictEqual(job.status, 'done');
+    assert.strictEqual(job.attempt, 1);
+    assert.strictEqual(job.result.success, true);
+    assert.strictEqual(job.result.name, 'Ada');
+
+    const { body: list } = await get(`/api/turtles?eventCode=${EVENT_CODE}`);
+    assert.ok(list.turtles.some(t => t.id === job.result.id && t.name === 'Ada'));
+  });
+
+  it('fails a photo that cannot be read without trying it again', async () => {
+    const junk = Buffer.from('not a photo');
+    const { status, body } = await post('/api/upload', photoForm({ eventCode: EVENT_CODE, name: 'Junk' }, junk));
+    assert.strictEqual(status, 202);
+
+    const job = await waitForJob(body.statusUrl);
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.error, 'Failed to process image.');
+    assert.strictEqual(job.attempt, 1);
+    assert.ok(job.attempts > 1, 'another attempt was allowed');
+  });
+
+  it('adds a previewed photo once the guest confirms it, and only once', async () => {
+    const { status, body } = await post('/api/upload/preview', photoForm({ eventCode: EVENT_CODE }, PHOTO));
+    assert.strictEqual(status, 202);
+    const job = await waitForJob(body.statusUrl);
+    assert.strictEqual(job.status, 'done');
+    const { previewId } = job.result;
+    assert.ok(previewId);
+
+    const confirmed = await post('/api/upload', { eventCode: EVENT_CODE, name: 'Bo', previewId });
+    assert.strictEqual(confirmed.status, 200);
+    assert.strictEqual(confirmed.body.success, true);
+    assert.strictEqual(confirmed.body.name, 'Bo');
+    const { body: list } = await get(`/api/turtles?eventCode=${EVENT_CODE}`);
+    assert.ok(list.turtles.some(t => t.id === confirmed.body.id));
+
+    const again = await post('/api/upload', { eventCode: EVENT_CODE, name: 'Bo', previewId });
+    assert.strictEqual(again.status, 404);
+  });
+
+  it('answers 404 for a job it does not know', async () => {
+    const { status, body } = await get(`/api/jobs/nope?eventCode=${EVENT_CODE}`);
+    assert.strictEqual(status, 404);
+    assert.deepStrictEqual(body, { error: 'Not found.' });
+  });
+});
+
+describe('server — commands for screens that poll', () => {
+  const history = async () => {
+    const { body } = await get(`/api/commands?eventCode=${EVENT_CODE}&hostCode=${HOST_CODE}&entityId=hero`);
+    return body.commands;
+  };
+  const hero = list => list.turtles.find(t => t.id === 'hero');
+
+  it('keeps them queued for live screens when others read the list', async () => {
+    const sent = await post('/api/turtle/hero/command', { eventCode: EVENT_CODE, action: 'spin', clientId: 'poll-test-1' });
+    assert.strictEqual(sent.status, 200);
+
+    // The remote's refresh, the admin list
+    for (const query of ['', '&resting=1']) {
+      const { body } = await get(`/api/turtles?eventCode=${EVENT_CODE}${query}`);
+      assert.strictEqual(hero(body).commands, undefined);
+    }
+    assert.strictEqual((await history())[0].status, 'queued');
+
+    const { body } = await get(`/api/turtles?eventCode=${EVENT_CODE}&screen=1`);
+    assert.deepStrictEqual(hero(body).commands.map(c => [c.command, c.commandId]),
+      [['spin', sent.body.commandId]]);
+    assert.strictEqual((await history())[0].status, 'delivered');
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createShow, validateShow } = require('../lib/show');
+
+// 14:59:00 local time, so clock-time steps land on a known day
+const START = new Date(2026, 5, 1, 14, 59, 0).getTime();
+
+let clock;
+let sent;
+function showOf(steps) {
+  return createShow({
+    steps,
+    now: () => clock,
+    dispatch: (step) => { sent.push(step.action); return { ok: true }; },
+  });
+}
+beforeEach(() => {
+  clock = START;
+  sent = [];
+});
+
+describe('show — validation', () => {
+  it('accepts clock-time and relative steps', () => {
+    assert.strictEqual(validateShow([
+      { at: '15:00', action: 'party_hat' },
+      { at: '15:05:30', action: 'come_closer', target: 'hero' },
+      { after: 90, action: 'confetti', note: 'cake time' },
+    ]), null);
+  });
+
+  it('rejects bad steps with the step number', () => {
+    assert.strictEqual(validateShow([]), 'A show needs at least one step.');
+    assert.strictEqual(validateShow([{ action: 'spin' }]), 'Step 1 needs either at or after.');
+    assert.strictEqual(validateShow([{ at: '15:00', after: 1, action: 'spin' }]), 'Step 1 needs either at or after.');
+    assert.strictEqual(validateShow([{ after: 1, action: 'spin' }, { at: '25:00', action: 'spin' }]),
+      'Step 2: at must be a time like 15:00.');
+    assert.strictEqual(validateShow([{ after: -1, action: 'spin' }]), 'Step 1: after must be a number of seconds.');
+    assert.strictEqual(validateShow([{ after: 1, action: 'fly' }]), 'Step 1: invalid action.');
+    assert.strictEqual(validateShow([{ after: 1, action: 'spin', target: 'cats' }]), 'Step 1: invalid target.');
+  });
+});
+
+describe('show — running', () => {
+  it('sends steps when they are due, then finishes', () => {
+    const show = showOf([
+      { at: '15:00', action: 'party_hat' },
+      { after: 30, action: 'spin' },
+      { at: '15:01', action: 'confetti' },
+    ]);
+    assert.deepStrictEqual(show.tick(), []);
+    show.start();
+
+    clock += 30 * 1000;
+    assert.deepStrictEqual(show.tick().map(s => s.action), ['spin']);
+    clock += 30 * 1000;
+    show.tick();
+    clock += 60 * 1000;
+    show.tick();
+    assert.deepStrictEqual(sent, ['spin', 'party_hat', 'confetti']);
+
+    const state = show.state();
+    assert.strictEqual(state.status, 'finished');
+    assert.deepStrictEqual(state.steps[0].result, { ok: true });
+    assert.strictEqual(state.steps[0].target, 'all');
+  });
+
+  it('misses clock times that had passed when it started', () => {
+    clock = START + 2 * 60 * 1000;
+    const show = showOf([{ at: '15:00', action: 'spin' }, { after: 1, action: 'jump' }]);
+    show.start();
+    clock += 1000;
+    show.tick();
+    assert.deepStrictEqual(sent, ['jump']);
+    assert.deepStrictEqual(show.state().steps.map(s => s.status), ['missed', 'sent']);
+  });
+
+  it('holds the rest of the show while paused', () => {
+    const show = showOf([{ after: 10, action: 'spin' }, { after: 20, action: 'jump' }]);
+    show.start();
+    clock += 5000;
+    assert.strictEqual(show.pause(), true);
+    clock += 60 * 1000;
+    assert.deepStrictEqual(show.tick(), []);
+
+    show.start();
+    clock += 5000;
+    show.tick();
+    assert.deepStrictEqual(sent, ['spin']);
+    assert.strictEqual(show.state().next, 1);
+  });
+
+  it('skips the next step without sending it', () => {
+    const show = showOf([{ after: 10, action: 'spin' }, { after: 20, action: 'jump' }]);
+    assert.strictEqual(show.skip(), false, 'not started');
+    show.start();
+    assert.strictEqual(show.skip(), true);
+    clock += 20 * 1000;
+    show.tick();
+    assert.deepStrictEqual(sent, ['jump']);
+    assert.deepStrictEqual(show.state().steps.map(s => s.status), ['skipped', 'sent']);
+  });
+});
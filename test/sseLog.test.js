@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createSseLog, formatFrame } = require('../lib/sseLog');
+
+describe('sseLog — frames', () => {
+  it('formats default and named events, with and without an id', () => {
+    assert.strictEqual(formatFrame({ data: { a: 1 } }), 'data: {"a":1}\n\n');
+    assert.strictEqual(
+      formatFrame({ id: 'x-3', type: 'delete', data: { deleted: ['1'] } }),
+      'id: x-3\nevent: delete\ndata: {"deleted":["1"]}\n\n',
+    );
+  });
+
+  it('numbers appended frames within the epoch', () => {
+    const log = createSseLog({ epoch: 'boot' });
+    assert.strictEqual(log.lastId(), 'boot-0');
+    assert.match(log.append('add', { id: '1' }, 'turtles'), /^id: boot-1\nevent: add\n/);
+    assert.strictEqual(log.lastId(), 'boot-1');
+  });
+});
+
+describe('sseLog — resuming', () => {
+  function logWith(n, limit) {
+    const log = createSseLog({ epoch: 'boot', limit });
+    for (let i = 1; i <= n; i++) log.append('add', { id: String(i) }, i % 2 ? 'turtles' : 'dinos');
+    return log;
+  }
+
+  it('replays what came after the last seen id, with its mode', () => {
+    const missed = logWith(4).since('boot-2');
+    assert.deepStrictEqual(missed.map(e => e.mode), ['turtles', 'dinos']);
+    assert.match(missed[0].frame, /^id: boot-3\n/);
+    assert.deepStrictEqual(logWith(4).since('boot-4'), []);
+  });
+
+  it('asks for a snapshot when the gap cannot be replayed', () => {
+    const log = logWith(10, 5);
+    assert.strictEqual(log.since(undefined), null, 'first connect');
+    assert.strictEqual(log.since('other-3'), null, 'id from an earlier server run');
+    assert.strictEqual(log.since('boot-99'), null, 'id from the future');
+    assert.strictEqual(log.since('boot-4'), null, 'older than the log');
+    assert.strictEqual(log.since('boot-5').length, 5);
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createStore, pickMetadata } = require('../lib/storage');
+const { overflow } = require('../lib/capacity');
+
+function makeTurtle(id, extra = {}) {
+  return {
+    id,
+    name: `Turtle ${id}`,
+    imageData: 'data:image/png;base64,AAAA',
+    depth: 0.5,
+    speed: 50,
+    amplitude: 20,
+    phase: 1.2,
+    direction: -1,
+    createdAt: 1700000000000,
+    file: `${id}_Turtle.png`,
+    ...extra,
+  };
+}
+
+describe('storage — JSON file store', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aquarium-'));
+    file = path.join(dir, 'nested', 'aquarium.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns null when nothing has been saved yet', () => {
+    const store = createStore({ file });
+    assert.strictEqual(store.load(), null);
+  });
+
+  it('round-trips entity metadata without imageData', () => {
+    const store = createStore({ file });
+    store.save({
+      turtles: [makeTurtle('1')],
+      dinos: [makeTurtle('d1', { species: 'triceratops' })],
+      nextId: 2,
+      nextDinoId: 2,
+    });
+
+    const loaded = createStore({ file }).load();
+    assert.strictEqual(loaded.turtles.length, 1);
+    assert.strictEqual(loaded.turtles[0].name, 'Turtle 1');
+    assert.strictEqual(loaded.turtles[0].imageData, undefined);
+    assert.strictEqual(loaded.dinos[0].species, 'triceratops');
+    assert.strictEqual(loaded.dinos[0].file, 'd1_Turtle.png');
+    assert.ok(!fs.existsSync(`${file}.tmp`), 'temp file should be renamed away');
+  });
+
+  it('keeps id counters monotonic even if saved counters are stale', () => {
+    const store = createStore({ file });
+    store.save({
+      turtles: [makeTurtle('7')],
+      dinos: [makeTurtle('d12')],
+      nextId: 3,
+      nextDinoId: 1,
+    });
+
+    const loaded = store.load();
+    assert.strictEqual(loaded.nextId, 8);
+    assert.strictEqual(loaded.nextDinoId, 13);
+  });
+
+  it('keeps a saved counter that is ahead of the surviving entities', () => {
+    const store = createStore({ file });
+    store.save({ turtles: [], dinos: [], nextId: 42, nextDinoId: 5 });
+
+    const loaded = store.load();
+    assert.strictEqual(loaded.nextId, 42);
+    assert.strictEqual(loaded.nextDinoId, 5);
+  });
+
+  it('keeps the pending status of uploads awaiting approval', () => {
+    const store = createStore({ file });
+    store.save({ turtles: [makeTurtle('1'), makeTurtle('2', { status: 'pending' })], dinos: [], nextId: 3, nextDinoId: 1 });
+
+    const [live, pending] = store.load().turtles;
+    assert.strictEqual(live.status, undefined);
+    assert.strictEqual(pending.status, 'pending');
+  });
+
+  it('keeps the name of the kept upload photo and where it was cut', () => {
+    const store = createStore({ file });
+    const crop = { circle: { cx: 0.5, cy: 0.5, r: 0.4 } };
+    store.save({ turtles: [makeTurtle('1', { original: '1_Turtle_original.jpg', crop })], dinos: [], nextId: 2, nextDinoId: 1 });
+
+    const [turtle] = store.load().turtles;
+    assert.strictEqual(turtle.original, '1_Turtle_original.jpg');
+    assert.deepStrictEqual(turtle.crop, crop);
+  });
+
+  it('keeps when guests last played with a drawing, for least-recent eviction', () => {
+    const store = createStore({ file });
+    const turtles = [
+      makeTurtle('1', { createdAt: 1000, lastInteractedAt: 9000 }),
+      makeTurtle('2', { createdAt: 2000 }),
+      makeTurtle('3', { createdAt: 3000, lastInteractedAt: 5000 }),
+    ];
+    store.save({ turtles, dinos: [], nextId: 4, nextDinoId: 1 });
+
+    const loaded = store.load().turtles;
+    assert.strictEqual(loaded[0].lastInteractedAt, 9000);
+    const evicted = overflow(loaded, { capacity: 1, policy: 'least-recent' });
+    assert.deepStrictEqual(evicted.map(t => t.id), ['2', '3'], 'the oldest upload stays: it was played with last');
+  });
+
+  it('keeps the event registry, without runtime fields', () => {
+    const store = createStore({ file });
+    store.save({
+      turtles: [], dinos: [], nextId: 1, nextDinoId: 1,
+      events: [{ code: 'sam01', name: 'Sam', modes: ['turtles'], archived: false, createdAt: 1, sseClients: new Set() }],
+    });
+
+    assert.deepStrictEqual(store.load().events, [
+      { code: 'sam01', name: 'Sam', modes: ['turtles'], archived: false, createdAt: 1 },
+    ]);
+  });
+});
+
+describe('storage — memory store and options', () => {
+
+  it('memory store returns copies of the last saved state', () => {
+    const store = createStore({ type: 'memory' });
+    assert.strictEqual(store.load(), null);
+
+    const turtles = [makeTurtle('1')];
+    store.save({ turtles, dinos: [], nextId: 2, nextDinoId: 1 });
+    turtles[0].name = 'Changed';
+
+    assert.strictEqual(store.load().turtles[0].name, 'Turtle 1');
+  });
+
+  it('rejects unknown storage types and a JSON store without a file', () => {
+    assert.throws(() => createStore({ type: 'redis' }), /Unknown storage type/);
+    assert.throws(() => createStore({ type: 'json' }), /requires a file path/);
+  });
+
+  it('pickMetadata drops runtime-only fields', () => {
+    const meta = pickMetadata({ ...makeTurtle('1'), command: 'spin', isHero: true });
+    assert.deepStrictEqual(Object.keys(meta).sort(), [
+      'amplitude', 'createdAt', 'depth', 'direction', 'file', 'id', 'name', 'phase', 'speed',
+    ]);
+  });
+});
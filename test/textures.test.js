@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { pngFromDataUri, contentHash, textureUrl, textureCacheControl, CACHE_FOREVER } = require('../lib/textures');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+
+describe('textures', () => {
+  it('reads the PNG out of a data URI', () => {
+    assert.deepStrictEqual(pngFromDataUri(`data:image/png;base64,${PNG.toString('base64')}`), PNG);
+  });
+
+  it('versions a URL with a hash of the PNG', () => {
+    const url = textureUrl('/drawings/1_Ana.png', PNG);
+    assert.match(url, /^\/drawings\/1_Ana\.png\?v=[0-9a-f]{16}$/);
+    assert.strictEqual(url, textureUrl('/drawings/1_Ana.png', Buffer.from(PNG)), 'same bytes, same URL');
+    assert.notStrictEqual(contentHash(PNG), contentHash(Buffer.concat([PNG, Buffer.from([4])])));
+  });
+
+  it('caches versioned URLs for good, and revalidates the rest', () => {
+    assert.strictEqual(textureCacheControl({ v: 'abc' }), CACHE_FOREVER);
+    assert.strictEqual(textureCacheControl({}), 'no-cache');
+    assert.strictEqual(textureCacheControl(undefined), 'no-cache');
+  });
+});
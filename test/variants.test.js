@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { makeVariants, variantFileName, powerOfTwo } = require('../lib/variants');
+
+// A transparent-cornered drawing, the size of a typical turtle crop
+function drawing(width, height) {
+  return sharp(Buffer.from(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    <ellipse cx="${width / 2}" cy="${height / 2}" rx="${width / 2}" ry="${height / 2}" fill="#3a9a40"/>
+  </svg>`)).png().toBuffer();
+}
+
+describe('variants — makeVariants', () => {
+  it('makes a power-of-two texture, a thumbnail and a WebP', async () => {
+    const { texture, thumbnail, webp } = await makeVariants(await drawing(800, 700));
+
+    const tex = await sharp(texture).metadata();
+    assert.strictEqual(tex.format, 'png');
+    assert.deepStrictEqual([tex.width, tex.height], [1024, 512]);
+    assert.ok(tex.hasAlpha);
+
+    const thumb = await sharp(thumbnail).metadata();
+    assert.strictEqual(thumb.format, 'webp');
+    assert.deepStrictEqual([thumb.width, thumb.height], [256, 224]);
+
+    const full = await sharp(webp).metadata();
+    assert.strictEqual(full.format, 'webp');
+    assert.deepStrictEqual([full.width, full.height], [800, 700]);
+    assert.ok(full.hasAlpha, 'the transparent corners stay transparent');
+  });
+
+  it('does not blow small drawings up into big thumbnails', async () => {
+    const { texture, thumbnail } = await makeVariants(await drawing(100, 40));
+    const thumb = await sharp(thumbnail).metadata();
+    assert.deepStrictEqual([thumb.width, thumb.height], [100, 40]);
+    const tex = await sharp(texture).metadata();
+    assert.deepStrictEqual([tex.width, tex.height], [128, 64]);
+  });
+});
+
+describe('variants — names and sizes', () => {
+  it('names variants after the drawing', () => {
+    assert.strictEqual(variantFileName('3_Ada.png', 'texture'), '3_Ada_texture.png');
+    assert.strictEqual(variantFileName('3_Ada.png', 'thumbnail'), '3_Ada_thumb.webp');
+    assert.strictEqual(variantFileName('dino_d2_Rex.png', 'webp'), 'dino_d2_Rex.webp');
+  });
+
+  it('rounds to the nearest power of two within limits', () => {
+    assert.strictEqual(powerOfTwo(800, 64, 1024), 1024);
+    assert.strictEqual(powerOfTwo(700, 64, 1024), 512);
+    assert.strictEqual(powerOfTwo(3000, 64, 1024), 1024);
+    assert.strictEqual(powerOfTwo(10, 64, 1024), 64);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { createVisionProvider, visionOptionsFromEnv, DEFAULTS } = require('../lib/visionProvider');
+const { startMockVisionServer } = require('../lib/mockVisionServer');
+
+const IMAGE = Buffer.from('not really a png');
+
+describe('visionProvider — options', () => {
+  it('is off without an API key or with type none', () => {
+    assert.strictEqual(createVisionProvider({}), null);
+    assert.strictEqual(createVisionProvider({ type: 'none', apiKey: 'k' }), null);
+  });
+
+  it('rejects unknown provider types', () => {
+    assert.throws(() => createVisionProvider({ type: 'carrier-pigeon', apiKey: 'k' }),
+      /Unknown vision provider/);
+  });
+
+  it('uses the default model unless one is configured', () => {
+    assert.strictEqual(createVisionProvider({ apiKey: 'k' }).model, DEFAULTS.model);
+    assert.strictEqual(createVisionProvider({ apiKey: 'k', model: 'other-model' }).model, 'other-model');
+  });
+
+  it('reads VISION_* settings from the environment', () => {
+    const options = visionOptionsFromEnv({
+      VISION_PROVIDER: 'none',
+      VISION_MODEL: 'm',
+      VISION_ENDPOINT: 'http://localhost:1',
+      ANTHROPIC_API_KEY: 'k',
+      VISION_TIMEOUT_MS: '500',
+      VISION_RETRIES: '0',
+    });
+    assert.deepStrictEqual(options, {
+      type: 'none', model: 'm', endpoint: 'http://localhost:1', apiKey: 'k',
+      timeoutMs: 500, retries: 0, budgetMs: undefined,
+    });
+  });
+});
+
+describe('visionProvider — against the mock server', () => {
+  let mock;
+  after(async () => { if (mock) await mock.close(); });
+
+  async function restart(options) {
+    if (mock) await mock.close();
+    mock = await startMockVisionServer(options);
+    return mock;
+  }
+
+  it('sends the image and prompt to the configured model and returns the text', async () => {
+    await restart({ reply: { species: 'triceratops' } });
+    const provider = createVisionProvider({ apiKey: 'test', endpoint: mock.url, model: 'mock-model' });
+
+    const text = await provider.ask({ image: IMAGE, prompt: 'which dino?' });
+    assert.deepStrictEqual(JSON.parse(text), { species: 'triceratops' });
+
+    assert.strictEqual(mock.requests.length, 1);
+    const [{ model, messages }] = mock.requests;
+    assert.strictEqual(model, 'mock-model');
+    const [image, prompt] = messages[0].content;
+    assert.strictEqual(image.source.data, IMAGE.toString('base64'));
+    assert.strictEqual(prompt.text, 'which dino?');
+  });
+
+  it('retries a server error', async () => {
+    await restart({ failFirst: 1, reply: 'ok' });
+    const provider = createVisionProvider({ apiKey: 'test', endpoint: mock.url, retries: 1 });
+
+    assert.strictEqual(await provider.ask({ image: IMAGE, prompt: 'p' }), 'ok');
+    assert.strictEqual(mock.requests.length, 2);
+  });
+
+  it('does not retry a bad request', async () => {
+    await restart({ failFirst: 1, failStatus: 400, reply: 'ok' });
+    const provider = createVisionProvider({ apiKey: 'test', endpoint: mock.url, retries: 2 });
+
+    await assert.rejects(provider.ask({ image: IMAGE, prompt: 'p' }));
+    assert.strictEqual(mock.requests.length, 1);
+  });
+
+  it('gives up on a slow server within the latency budget', async () => {
+    await restart({ delayMs: 5000, reply: 'too late' });
+    const provider = createVisionProvider({
+      apiKey: 'test', endpoint: mock.url, timeoutMs: 200, retries: 5, budgetMs: 600,
+    });
+
+    const started = Date.now();
+    await assert.rejects(provider.ask({ image: IMAGE, prompt: 'p' }), /timed out/);
+    const elapsed = Date.now() - started;
+    assert.ok(elapsed < 1500, `took ${elapsed}ms`);
+    assert.ok(mock.requests.length >= 2 && mock.requests.length <= 3,
+      `expected a retry inside the budget, got ${mock.requests.length} requests`);
+  });
+});
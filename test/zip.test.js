@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { Writable } = require('node:stream');
+const { writeZip, createZip, crc32 } = require('../lib/zip');
+
+/** Read entries back through the central directory. */
+function unzip(buf) {
+  const end = buf.length - 22;
+  assert.strictEqual(buf.readUInt32LE(end), 0x06054b50);
+  const count = buf.readUInt16LE(end + 10);
+  let at = buf.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(buf.readUInt32LE(at), 0x02014b50);
+    const method = buf.readUInt16LE(at + 10);
+    const crc = buf.readUInt32LE(at + 16);
+    const size = buf.readUInt32LE(at + 20);
+    const nameLen = buf.readUInt16LE(at + 28);
+    const offset = buf.readUInt32LE(at + 42);
+    const name = buf.toString('utf8', at + 46, at + 46 + nameLen);
+    const dataAt = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28);
+    const raw = buf.subarray(dataAt, dataAt + size);
+    const data = method === 8 ? zlib.inflateRawSync(raw) : raw;
+    assert.strictEqual(crc32(data), crc, `${name} crc`);
+    entries.push({ name, method, data });
+    at += 46 + nameLen;
+  }
+  return entries;
+}
+
+describe('zip', () => {
+  it('computes the standard CRC-32', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+  });
+
+  it('round-trips entries, deflating only what shrinks', async () => {
+    const noise = Buffer.from(Array.from({ length: 64 }, (_, i) => (i * 151 + 7) % 256));
+    const zip = await createZip([
+      { name: 'manifest.json', data: JSON.stringify({ a: 'x'.repeat(200) }) },
+      { name: 'drawings/1_Zoë.png', data: noise, date: new Date(2026, 5, 1, 15, 0, 0) },
+    ]);
+    const [manifest, drawing] = unzip(zip);
+    assert.strictEqual(manifest.method, 8);
+    assert.deepStrictEqual(JSON.parse(manifest.data), { a: 'x'.repeat(200) });
+    assert.strictEqual(drawing.name, 'drawings/1_Zoë.png');
+    assert.strictEqual(drawing.method, 0);
+    assert.deepStrictEqual(drawing.data, noise);
+  });
+
+  it('writes an empty archive', async () => {
+    assert.deepStrictEqual(unzip(await createZip([])), []);
+  });
+
+  it('reads files from disk, leaving out ones that are gone', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'a.png'), 'png-a');
+      const zip = await createZip([
+        { name: 'drawings/a.png', file: path.join(dir, 'a.png') },
+        { name: 'drawings/b.png', file: path.join(dir, 'b.png') },
+      ]);
+      assert.deepStrictEqual(unzip(zip).map(e => [e.name, e.data.toString()]), [['drawings/a.png', 'png-a']]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('streams to a slow writer, waiting for it to drain', async () => {
+    const chunks = [];
+    const out = new Writable({
+      highWaterMark: 16,
+      write(chunk, _, callback) {
+        chunks.push(chunk);
+        setImmediate(callback);
+      },
+    });
+    const data = 'x'.repeat(1000);
+    await writeZip(out, [{ name: 'a.txt', data }, { name: 'b.txt', data }]);
+    assert.ok(out.writableEnded);
+    assert.deepStrictEqual(unzip(Buffer.concat(chunks)).map(e => e.data.toString()), [data, data]);
+  });
+
+  it('gives up when the stream closes early', async () => {
+    const out = new Writable({ highWaterMark: 1, write() {} }); // never drains
+    const writing = writeZip(out, [{ name: 'a.txt', data: 'x'.repeat(100) }]);
+    out.destroy();
+    await assert.rejects(writing, /closed early/);
+  });
+});